@@ -0,0 +1,14 @@
+/**
+ * Context Health Bar - Background Service Worker
+ * Relays keyboard shortcuts (chrome.commands) to the content script in the active tab
+ */
+
+const CLAUDE_URL_PATTERN = /^https:\/\/claude\.ai\//;
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || !CLAUDE_URL_PATTERN.test(tab.url || '')) return;
+  chrome.tabs.sendMessage(tab.id, { type: 'command', command }, () => {
+    // The tab may predate the install and have no content script yet
+    void chrome.runtime.lastError;
+  });
+});
@@ -11,8 +11,18 @@
 // ============================================================================
 
 const CONFIG = {
-  // Token estimation: chars / 4 is rough approximation
+  // Token estimation: chars / 4 is the fallback estimator
   CHARS_PER_TOKEN: 4,
+  DEFAULT_TOKENIZER: DEFAULT_SETTINGS.tokenizer,
+
+  // Context windows by model. Token/char bands below are calibrated for
+  // REFERENCE_CONTEXT_TOKENS and scale with the active model's window.
+  REFERENCE_CONTEXT_TOKENS: 200000,
+  MODEL_CONTEXT_WINDOWS,  // defined in shared.js
+  MODEL_SELECTORS: [
+    '[data-testid="model-selector-dropdown"]',
+    'button[aria-label*="model" i]'
+  ],
 
   // Health calculation thresholds
   TOKEN_THRESHOLDS: {
@@ -36,6 +46,13 @@ const CONFIG = {
   LONG_MESSAGE_THRESHOLD: 4000,  // chars
   ASSISTANT_DOMINANCE_RATIO: 0.7,
 
+  // Tier cutoffs (health >= cutoff)
+  TIER_CUTOFFS: {
+    STABLE: 80,
+    DEGRADING: 50,
+    UNRELIABLE: 20
+  },
+
   // Instruction detection
   IMPERATIVE_PHRASES: [
     'you are', 'act as', 'always', 'never', 'do not', "don't",
@@ -44,21 +61,138 @@ const CONFIG = {
   MIN_IMPERATIVES: 2,
   EARLY_MESSAGE_COUNT: 3,
 
+  // Instruction reinforcement
+  REINFORCE_HEADER: 'Reminder: core instructions for this conversation',
+  REINFORCE_MAX_ITEMS: 10,
+  REINFORCE_MAX_CHARS: 400,
+
+  // Instruction conflicts
+  CONFLICT_PENALTY_PER_PAIR: 6,
+  CONFLICT_SUPERSEDED_PENALTY: 2,  // older instruction likely replaced
+  CONFLICT_MAX_PENALTY: 20,
+
+  // Instruction drift
+  DRIFT_RECENT_ASSISTANT: 6,
+  DRIFT_PENALTY_PER_MESSAGE: 8,
+  DRIFT_MAX_PENALTY: 30,
+
+  // Attachments, artifacts and project knowledge (not part of message text)
+  ATTACHMENT_SELECTORS: [
+    '[data-testid="file-thumbnail"]',
+    '[data-testid*="attachment"]',
+    '[data-testid="pasted-content"]'
+  ],
+  ARTIFACT_SELECTORS: [
+    '[data-testid*="artifact-card"]',
+    '.artifact-block-cell'
+  ],
+  ARTIFACT_PANEL_SELECTORS: [
+    '[data-testid="artifact-view"]',
+    '[data-testid*="artifact-panel"]'
+  ],
+  PROJECT_LINK_SELECTOR: 'a[href^="/project/"]',
+  // The project link counts only in the chat's own header; the sidebar lists every project
+  CHAT_HEADER_SELECTORS: [
+    '[data-testid="chat-header"]',
+    '[aria-label*="breadcrumb" i]',
+    'main header'
+  ],
+  PROJECT_CAPACITY_SELECTORS: [
+    '[data-testid*="project-knowledge"]',
+    '[data-testid*="project-capacity"]'
+  ],
+  ATTACHMENT_BYTES_PER_TOKEN: 4,
+  ATTACHMENT_TOKENS_PER_PAGE: 1500,
+  ATTACHMENT_TOKENS_PER_LINE: 10,
+  ATTACHMENT_DEFAULT_TOKENS: 2000,
+  IMAGE_TOKENS: 1600,
+  IMAGE_MIN_SIZE_PX: 48,
+  ARTIFACT_DEFAULT_TOKENS: 1500,
+  ATTACHMENT_PENALTY_PER_WINDOW: 60,
+  ATTACHMENT_MAX_PENALTY: 25,
+
+  // Topic segmentation (keyword TF-IDF over sliding windows of messages)
+  TOPIC_WINDOW_MESSAGES: 4,
+  TOPIC_MIN_SEGMENT_MESSAGES: 4,
+  TOPIC_SHIFT_SIMILARITY: 0.05,
+  TOPIC_SEGMENT_SIMILARITY: 0.1,
+  TOPIC_SAME_SIMILARITY: 0.25,
+  TOPIC_LABEL_TERMS: 3,
+  TOPIC_FREE_TOPICS: 2,
+  TOPIC_PENALTY_PER_TOPIC: 6,
+  TOPIC_MAX_PENALTY: 20,
+
+  // Repetition and loops between assistant replies (MinHash over word shingles)
+  LOOP_RECENT_ASSISTANT: 12,
+  LOOP_SHINGLE_WORDS: 5,
+  LOOP_MIN_PROSE_SHINGLES: 12,
+  LOOP_MINHASH_SIZE: 64,
+  LOOP_REPEAT_SIMILARITY: 0.6,
+  LOOP_CODE_SIMILARITY: 0.9,
+  LOOP_APOLOGY_PATTERN: /^\W*(i apologi[sz]e|apologies|(i'm |i am )?sorry|my (mistake|apologies|bad)|you'?re (absolutely |completely )?right)\b/i,
+  LOOP_APOLOGY_MIN: 2,
+  LOOP_PENALTY_PER_MESSAGE: 6,
+  LOOP_MAX_PENALTY: 25,
+
   // Update behavior
   DEBOUNCE_MS: 500,
-
-  // Storage keys
-  STORAGE_KEY: 'claude_healthbar_pins',
-  HANDOFF_STORAGE_KEY: 'claude_healthbar_handoff',
-  SETTINGS_KEY: 'claude_healthbar_settings',
+  MESSAGE_SELECTOR: '[data-testid^="user-message"], [data-testid^="assistant-message"]',
+  STREAMING_SELECTORS: [
+    '[data-is-streaming="true"]'
+  ],
+  STREAMING_POLL_MS: 1000,
+
+  // Health projection while a reply streams or a draft is pending
+  PROJECTION_RECENT_REPLIES: 5,
+  PROJECTION_DEFAULT_REPLY_TOKENS: 600,
+
+  // Storage keys (defined in shared.js)
+  STORAGE_KEY: STORAGE_KEYS.PINS,
+  HANDOFF_STORAGE_KEY: STORAGE_KEYS.HANDOFF,
+  HANDOFF_HISTORY_KEY: STORAGE_KEYS.HANDOFF_HISTORY,
+  SETTINGS_KEY: STORAGE_KEYS.SETTINGS,
+  PROFILES_KEY: STORAGE_KEYS.PROFILES,
+  HISTORY_KEY: STORAGE_KEYS.HISTORY,
+  SNOOZE_KEY: STORAGE_KEYS.SNOOZE,
+  TEMPLATES_KEY: STORAGE_KEYS.TEMPLATES,
+  LINEAGE_KEY: STORAGE_KEYS.LINEAGE,
+  LINEAGE_PENDING_KEY: STORAGE_KEYS.LINEAGE_PENDING,
+  STORAGE_MIGRATED_KEY: STORAGE_KEYS.MIGRATED,
+
+  // chrome.storage.local quota (bytes) and when to prune old conversations
+  STORAGE_QUOTA_BYTES: 10 * 1024 * 1024,
+  STORAGE_PRUNE_RATIO: 0.8,
+  STORAGE_PRUNE_TARGET: 0.6,
+  // Unpinned conversations leave a dated empty entry so the removal syncs
+  PIN_TOMBSTONE_MS: 30 * 24 * 60 * 60 * 1000,
+
+  // Threshold alerts
+  ALERT_SNOOZE_MS: 60 * 60 * 1000,
+  ALERT_TOAST_MS: 8000,
+
+  // Health history
+  HISTORY_MAX_ENTRIES: 400,
+  HISTORY_MAX_CONVERSATIONS: 50,
 
   // Handoff behavior
   HANDOFF_THRESHOLD: 50,
   HANDOFF_EXPIRY_MS: 2 * 60 * 60 * 1000,
+  HANDOFF_HISTORY_MAX: 20,
   HANDOFF_MAX_MESSAGE_CHARS: 900,
   HANDOFF_MAX_PINNED: 8,
   HANDOFF_MAX_RECENT: 12,
   HANDOFF_MAX_SALIENCE: 6,
+  HANDOFF_DEFAULT_BUDGET_TOKENS: DEFAULT_SETTINGS.handoffBudgetTokens,
+  HANDOFF_ITEM_OVERHEAD_TOKENS: 6,
+  HANDOFF_BUDGET_MIN_ITEM_TOKENS: 30,
+  HANDOFF_MAX_CODE_LINES: 40,
+  HANDOFF_MAX_ARTIFACTS: 5,
+  HANDOFF_MAX_ARTIFACT_LINES: 80,
+  HANDOFF_MIN_ARTIFACT_LINES: 3,
+  // Leading packet chars a new chat's first message must match to be linked
+  LINEAGE_MATCH_CHARS: 160,
+  // Share of a token budget held for the original request and artifacts
+  HANDOFF_BUDGET_EXTRA_SHARE: 0.2,
 
   // Auto-load history for long threads
   AUTO_LOAD_HISTORY: true,
@@ -73,6 +207,7 @@ const CONFIG = {
 
 let state = {
   conversationId: null,
+  pathname: '',
   messages: [],
   pinnedMessageIds: new Set(),
   currentHealth: 100,
@@ -83,9 +218,441 @@ let state = {
   autoLoadInProgress: false,
   autoLoadComplete: false,
   handoffApplyTimer: null,
-  settings: null
+  settings: null,
+  scoring: null,
+  scoringDraft: null,
+  profiles: null,
+  history: [],
+  instructionIndices: [],
+  instructions: [],
+  lastHealthData: null,
+  failedTokenizer: null,  // id that threw this session; counted as chars
+  tokensPerChar: 1 / CONFIG.CHARS_PER_TOKEN,
+  alertArmed: false,
+  alertTimer: null,
+  templates: {},
+  carryPinsPending: false,
+  lineage: null,
+  lineageCandidate: null,
+  handoffInboxShown: false,
+  panelOpen: false,
+  orbHidden: false,
+  noticeTimer: null,
+  observer: null,
+  observedContainer: null,
+  messageList: { count: 0, first: null, last: null },
+  visibleChars: 0,
+  visibleCharsDirty: true,
+  streaming: false,
+  projection: null,
+  attachments: null,
+  handoffSize: { key: '', tokens: 0 },
+  artifactSizes: {},
+  attachmentPanelSignature: '',
+  projectCapacity: {}
+};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * chrome.storage is async, but the rest of the script reads storage
+ * synchronously. Everything is loaded into this cache once at startup;
+ * writes update the cache immediately and persist in the background.
+ */
+const storageCache = {};
+
+// False when running without an extension context; storage then stays in
+// page localStorage as before
+let useExtensionStorage = false;
+
+// Keys copied out of page localStorage by the one-time migration
+const LEGACY_KEYS = [
+  CONFIG.STORAGE_KEY,
+  CONFIG.HANDOFF_STORAGE_KEY,
+  CONFIG.HANDOFF_HISTORY_KEY,
+  CONFIG.SETTINGS_KEY,
+  CONFIG.PROFILES_KEY,
+  CONFIG.HISTORY_KEY,
+  CONFIG.SNOOZE_KEY,
+  CONFIG.TEMPLATES_KEY,
+  CONFIG.LINEAGE_KEY
+];
+
+function hasExtensionStorage() {
+  return typeof chrome !== 'undefined' && Boolean(chrome.storage?.local) && Boolean(chrome.runtime?.id);
+}
+
+function isSyncEnabled() {
+  return Boolean(storageCache[CONFIG.SETTINGS_KEY]?.syncStorage);
+}
+
+/**
+ * Read a stored value. Callers get a copy, so mutating it has no effect
+ * until it is written back with storageSet().
+ */
+function storageGet(key, fallback) {
+  const value = storageCache[key];
+  if (value === undefined) return fallback;
+  return JSON.parse(JSON.stringify(value));
+}
+
+function storageSet(key, value) {
+  storageCache[key] = value;
+  if (!useExtensionStorage) {
+    localStorage.setItem(key, JSON.stringify(value));
+    return;
+  }
+  // The extension was reloaded under this page; keep changes in memory only
+  if (!hasExtensionStorage()) return;
+  writeStorage(chrome.storage.local, { [key]: value }, true);
+  if (SYNC_KEYS.includes(key) && isSyncEnabled()) {
+    writeSyncKey(key);
+  }
+}
+
+/**
+ * Read-modify-write for maps shared between tabs (pins, history, lineage,
+ * handoffs). The cache is updated right away; the write then re-applies
+ * the change to a fresh read so concurrent edits from other tabs survive.
+ * Writes to the same key are queued so they don't read each other's stale value.
+ */
+const storageQueues = {};
+
+function storageUpdate(key, fallback, update) {
+  const apply = value => update(value === undefined ? fallback : JSON.parse(JSON.stringify(value)));
+  if (!useExtensionStorage) {
+    const raw = localStorage.getItem(key);
+    storageCache[key] = apply(raw === null ? undefined : JSON.parse(raw));
+    localStorage.setItem(key, JSON.stringify(storageCache[key]));
+    return;
+  }
+  storageCache[key] = apply(storageCache[key]);
+  if (!hasExtensionStorage()) return;
+
+  storageQueues[key] = (storageQueues[key] || Promise.resolve()).then(() => new Promise((resolve) => {
+    chrome.storage.local.get(key, (stored) => {
+      const value = apply(stored?.[key]);
+      storageCache[key] = value;
+      writeStorage(chrome.storage.local, { [key]: value }, true, resolve);
+      if (SYNC_KEYS.includes(key) && isSyncEnabled()) {
+        writeSyncKey(key);
+      }
+    });
+  }));
+}
+
+function storageRemove(key) {
+  delete storageCache[key];
+  if (!useExtensionStorage) {
+    localStorage.removeItem(key);
+    return;
+  }
+  if (hasExtensionStorage()) chrome.storage.local.remove(key);
+}
+
+function writeStorage(area, items, retryAfterPrune, done) {
+  area.set(items, () => {
+    const error = chrome.runtime.lastError;
+    if (!error) {
+      done?.();
+      return;
+    }
+    if (retryAfterPrune && /quota/i.test(error.message || '') && pruneStorage(0)) {
+      // Re-read the pruned values; the caller's items may have been trimmed too
+      const retry = {};
+      Object.keys(items).forEach((key) => {
+        if (storageCache[key] !== undefined) retry[key] = storageCache[key];
+      });
+      writeStorage(area, retry, false, done);
+      return;
+    }
+    console.error('Failed to write extension storage:', error.message);
+    done?.();
+  });
+}
+
+/**
+ * chrome.storage.sync caps each item at 8 KB, so pins sync only for the
+ * most recently pinned conversations that fit.
+ */
+function writeSyncKey(key) {
+  let value = storageCache[key];
+  if (value === undefined) return;
+  if (key === CONFIG.STORAGE_KEY) value = trimPinsForSync(value);
+  writeStorage(chrome.storage.sync, { [key]: value }, false);
+}
+
+/**
+ * Copy settings and pins to chrome.storage.sync (used when sync is turned on)
+ */
+function pushSyncKeys() {
+  if (!useExtensionStorage || !hasExtensionStorage()) return;
+  SYNC_KEYS.forEach(writeSyncKey);
+}
+
+function getStorageBytes() {
+  return Object.keys(storageCache).reduce(
+    (total, key) => total + estimateStoredBytes(key, storageCache[key]), 0);
+}
+
+/**
+ * Drop data for the least recently active conversations until storage is
+ * under the prune target. Recency comes from the health history; pins and
+ * snoozes for conversations without history are dropped first.
+ * Returns true when anything was removed.
+ */
+function pruneStorage(minimumBytes = CONFIG.STORAGE_QUOTA_BYTES * CONFIG.STORAGE_PRUNE_RATIO) {
+  const target = CONFIG.STORAGE_QUOTA_BYTES * CONFIG.STORAGE_PRUNE_TARGET;
+  if (getStorageBytes() <= minimumBytes) return false;
+
+  const history = storageGet(CONFIG.HISTORY_KEY, {});
+  const pins = storageGet(CONFIG.STORAGE_KEY, {});
+  const snoozes = storageGet(CONFIG.SNOOZE_KEY, {});
+  const lastActive = id => history[id]?.updatedAt || 0;
+  const ids = Array.from(new Set([...Object.keys(history), ...Object.keys(pins)]))
+    .filter(id => id !== getConversationId())
+    .sort((a, b) => lastActive(a) - lastActive(b));
+
+  let removed = false;
+  while (ids.length > 0 && getStorageBytes() > target) {
+    const batch = ids.splice(0, Math.max(1, Math.ceil(ids.length / 4)));
+    batch.forEach((id) => {
+      delete history[id];
+      delete pins[id];
+      delete snoozes[id];
+    });
+    storageCache[CONFIG.HISTORY_KEY] = history;
+    storageCache[CONFIG.STORAGE_KEY] = pins;
+    storageCache[CONFIG.SNOOZE_KEY] = snoozes;
+    removed = true;
+  }
+
+  if (removed && useExtensionStorage && hasExtensionStorage()) {
+    chrome.storage.local.set({
+      [CONFIG.HISTORY_KEY]: history,
+      [CONFIG.STORAGE_KEY]: pins,
+      [CONFIG.SNOOZE_KEY]: snoozes
+    });
+  }
+  return removed;
+}
+
+/**
+ * Move data written by earlier versions from page localStorage into
+ * chrome.storage.local. Runs once; the old keys are removed afterwards.
+ */
+function migrateLegacyStorage(stored) {
+  if (stored[CONFIG.STORAGE_MIGRATED_KEY]) return {};
+
+  const migrated = {};
+  LEGACY_KEYS.forEach((key) => {
+    try {
+      const raw = localStorage.getItem(key);
+      if (raw !== null && stored[key] === undefined) {
+        migrated[key] = JSON.parse(raw);
+      }
+    } catch (e) {
+      console.error(`Failed to migrate ${key}:`, e);
+    }
+  });
+  migrated[CONFIG.STORAGE_MIGRATED_KEY] = Date.now();
+
+  chrome.storage.local.set(migrated, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Storage migration failed:', chrome.runtime.lastError.message);
+      return;
+    }
+    LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  });
+  return migrated;
+}
+
+/**
+ * Fill the storage cache. Falls back to page localStorage when the
+ * extension context is unavailable.
+ */
+function initStorage() {
+  if (!hasExtensionStorage()) {
+    LEGACY_KEYS.forEach((key) => {
+      try {
+        const raw = localStorage.getItem(key);
+        if (raw !== null) storageCache[key] = JSON.parse(raw);
+      } catch (e) {
+        console.error(`Failed to read ${key}:`, e);
+      }
+    });
+    return Promise.resolve();
+  }
+
+  useExtensionStorage = true;
+  return new Promise((resolve) => {
+    chrome.storage.local.get(null, (stored) => {
+      Object.assign(storageCache, stored || {}, migrateLegacyStorage(stored || {}));
+      if (!isSyncEnabled()) {
+        resolve();
+        return;
+      }
+      // Synced values from other machines win over the local copy
+      chrome.storage.sync.get(SYNC_KEYS, (synced) => {
+        Object.entries(synced || {}).forEach(([key, value]) => {
+          storageCache[key] = key === CONFIG.STORAGE_KEY
+            ? mergePinStores(storageCache[key], value)
+            : value;
+        });
+        resolve();
+      });
+    });
+  }).then(() => {
+    pruneStorage();
+    watchStorageChanges();
+  });
+}
+
+/**
+ * Keep the cache current when other tabs (or synced machines) write
+ */
+function watchStorageChanges() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && !isSyncEnabled()) return;
+    if (areaName !== 'local' && areaName !== 'sync') return;
+
+    const changed = new Set(Object.keys(changes));
+    Object.entries(changes).forEach(([key, change]) => {
+      if (change.newValue === undefined) {
+        delete storageCache[key];
+      } else if (areaName === 'sync' && key === CONFIG.STORAGE_KEY) {
+        storageCache[key] = mergePinStores(storageCache[key], change.newValue);
+      } else {
+        storageCache[key] = change.newValue;
+      }
+    });
+
+    // Pick up edits from other tabs, the options page and imports
+    if (changed.has(CONFIG.SETTINGS_KEY)) loadSettings();
+    if (changed.has(CONFIG.STORAGE_KEY)) loadPinsFromStorage();
+    if (changed.has(CONFIG.PROFILES_KEY)) loadProfiles();
+    if (changed.has(CONFIG.TEMPLATES_KEY)) loadTemplates();
+    if (changed.has(CONFIG.HISTORY_KEY)) loadHistory();
+    if (changed.has(CONFIG.LINEAGE_KEY)) state.lineage = null;
+    if ([CONFIG.SETTINGS_KEY, CONFIG.STORAGE_KEY, CONFIG.PROFILES_KEY, CONFIG.TEMPLATES_KEY,
+      CONFIG.HISTORY_KEY, CONFIG.LINEAGE_KEY].some(key => changed.has(key))) {
+      scheduleUpdate();
+    }
+  });
+}
+
+// ============================================================================
+// TOKEN ESTIMATION
+// ============================================================================
+
+/**
+ * Tokenizers share one interface: { id, label, count(text) -> tokens }
+ */
+const TOKENIZERS = {
+  bpe: {
+    id: 'bpe',
+    label: getSettingOptionLabel('tokenizer', 'bpe'),
+    count: estimateBpeTokens
+  },
+  chars: {
+    id: 'chars',
+    label: getSettingOptionLabel('tokenizer', 'chars'),
+    count: text => Math.ceil(text.length / CONFIG.CHARS_PER_TOKEN)
+  }
 };
 
+const BPE_SEGMENT_PATTERN = new RegExp([
+  '([\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}])',
+  '(\\p{Script=Latin}+)',
+  '(\\p{L}+)',
+  '(\\p{N}+)',
+  '([ \\t]+)',
+  '([\\r\\n]+)',
+  '([^\\s\\p{L}\\p{N}]+)'
+].join('|'), 'gu');
+
+/**
+ * Approximate a BPE tokenizer offline by segmenting text the way
+ * byte-pair vocabularies tend to split it: common words are one token,
+ * CJK is roughly one token per character, code punctuation and
+ * indentation cost extra.
+ */
+function estimateBpeTokens(text) {
+  let tokens = 0;
+  for (const match of text.matchAll(BPE_SEGMENT_PATTERN)) {
+    if (match[1]) {
+      tokens += 1;
+    } else if (match[2]) {
+      tokens += estimateLatinWordTokens(match[2]);
+    } else if (match[3]) {
+      // Other alphabets (Cyrillic, Greek, Arabic...) split into short pieces
+      tokens += Math.ceil(match[3].length / 2);
+    } else if (match[4]) {
+      tokens += Math.ceil(match[4].length / 3);
+    } else if (match[5]) {
+      // A single space merges into the next word; indentation runs do not
+      if (match[5].length > 1) tokens += Math.ceil(match[5].length / 4);
+    } else if (match[6]) {
+      tokens += 1;
+    } else if (match[7]) {
+      tokens += estimateSymbolTokens(match[7]);
+    }
+  }
+  return tokens;
+}
+
+function estimateLatinWordTokens(word) {
+  // Split identifiers like parseConversation or HTTPServer into sub-words
+  const parts = word.split(/(?<=[a-z])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/);
+  return parts.reduce((sum, part) => sum + Math.max(1, Math.ceil(part.length / 7)), 0);
+}
+
+function estimateSymbolTokens(run) {
+  let ascii = 0;
+  let other = 0;
+  for (const char of run) {
+    if (char.charCodeAt(0) < 128) ascii += 1;
+    else other += 1;
+  }
+  // ASCII operators often pair up (=>, //, ();); emoji and symbols split into bytes
+  return Math.ceil(ascii / 2) + other * 2;
+}
+
+/**
+ * Active tokenizer from settings (defaults to the offline BPE estimate)
+ */
+function getTokenizer() {
+  const id = state.settings?.tokenizer || CONFIG.DEFAULT_TOKENIZER;
+  if (id === state.failedTokenizer) return TOKENIZERS.chars;
+  return TOKENIZERS[id] || TOKENIZERS.chars;
+}
+
+/**
+ * Count tokens with the active tokenizer, falling back to chars / 4. A
+ * tokenizer that throws is skipped for the rest of the session; the saved
+ * setting is left alone.
+ */
+function countTokens(text) {
+  const tokenizer = getTokenizer();
+  try {
+    return tokenizer.count(text);
+  } catch (e) {
+    console.error(`Tokenizer ${tokenizer.id} failed, using chars fallback:`, e);
+    state.failedTokenizer = tokenizer.id;
+    return TOKENIZERS.chars.count(text);
+  }
+}
+
+/**
+ * Estimate tokens for text we only have a char count for (e.g. visible
+ * container text), using the tokens-per-char ratio of parsed messages
+ */
+function estimateTokensFromChars(chars) {
+  return Math.ceil(chars * state.tokensPerChar);
+}
+
 // ============================================================================
 // CONVERSATION PARSER
 // ============================================================================
@@ -103,28 +670,29 @@ function parseConversation() {
 
   // Find all message elements in Claude's conversation
   // Claude uses specific class patterns for messages
-  const messageElements = document.querySelectorAll('[data-testid^="user-message"], [data-testid^="assistant-message"]');
+  const messageElements = document.querySelectorAll(CONFIG.MESSAGE_SELECTOR);
+  trackMessageList(messageElements);
+  const streaming = isResponseStreaming();
 
   messageElements.forEach((element, index) => {
     // Determine role from data-testid attribute
     const testId = element.getAttribute('data-testid') || '';
     const role = testId.includes('user') ? 'user' : 'assistant';
 
-    // Extract text content
-    const textContent = extractTextContent(element);
+    // Text, hash and tokens are cached per element until it changes
+    const parsed = readMessageElement(element);
+    const textContent = parsed.text;
 
     if (textContent.trim().length === 0) return; // Skip empty messages
 
-    // Calculate tokens
     const charCount = textContent.length;
     totalCharsFromMessages += charCount;
-    const tokens = Math.ceil(charCount / CONFIG.CHARS_PER_TOKEN);
+    const tokens = parsed.tokens;
 
-    const textHash = hashText(textContent);
-    const key = `${role}:${textHash}`;
+    const key = `${role}:${parsed.textHash}`;
     const occurrence = (messageCounts.get(key) || 0) + 1;
     messageCounts.set(key, occurrence);
-    const messageId = `msg_${role}_${textHash}_${occurrence}`;
+    const messageId = `msg_${role}_${parsed.textHash}_${occurrence}`;
     element.dataset.healthbarId = messageId;
     const legacyId = `msg_${index}`;
     if (state.pinnedMessageIds.has(legacyId)) {
@@ -141,6 +709,8 @@ function parseConversation() {
       tokens,
       tokenStart: cumulativeTokens,
       tokenEnd: cumulativeTokens + tokens,
+      codeBlocks: parsed.codeBlocks,
+      isStreaming: streaming && role === 'assistant' && isStreamingElement(element),
       element // Store reference for pin icon injection
     });
 
@@ -149,11 +719,20 @@ function parseConversation() {
   if (migratedLegacyPins) {
     savePinsToStorage();
   }
+  // The streaming marker may sit outside the message element; assume the
+  // trailing assistant reply is the one in flight
+  const lastMessage = messages[messages.length - 1];
+  if (streaming && lastMessage?.role === 'assistant' && !messages.some(msg => msg.isStreaming)) {
+    lastMessage.isStreaming = true;
+  }
+  state.tokensPerChar = totalCharsFromMessages > 0
+    ? cumulativeTokens / totalCharsFromMessages
+    : 1 / CONFIG.CHARS_PER_TOKEN;
 
   // Include current draft input
   const draftInput = getDraftInput();
   if (draftInput && draftInput.trim().length > 0) {
-    const tokens = Math.ceil(draftInput.length / CONFIG.CHARS_PER_TOKEN);
+    const tokens = countTokens(draftInput);
     messages.push({
       id: 'draft',
       role: 'user',
@@ -167,8 +746,117 @@ function parseConversation() {
     cumulativeTokens += tokens;
   }
 
-  const visibleChars = getVisibleConversationCharCount(messageElements);
-  return { messages, totalTokens: cumulativeTokens, totalCharsFromMessages, visibleChars };
+  // Re-read the container text and attachments only when its structure changed
+  const contextWindow = resolveContextWindow(detectModelName());
+  if (state.visibleCharsDirty || !state.attachments) {
+    state.visibleChars = getVisibleConversationCharCount(messageElements);
+    state.attachments = collectAttachments(messageElements, contextWindow);
+    state.visibleCharsDirty = false;
+  }
+  const visibleChars = state.visibleChars;
+  const attachments = state.attachments;
+  const tokenizer = getTokenizer();
+  return {
+    messages,
+    totalTokens: cumulativeTokens,
+    totalCharsFromMessages,
+    visibleChars,
+    contextWindow,
+    attachments,
+    streaming,
+    tokenizer: { id: tokenizer.id, label: tokenizer.label }
+  };
+}
+
+/**
+ * Parsed text per message element. Entries are marked dirty by the
+ * mutation observer; elements that leave the DOM drop out on their own.
+ */
+const parsedMessageCache = new WeakMap();
+
+function readMessageElement(element) {
+  let entry = parsedMessageCache.get(element);
+  if (!entry || entry.dirty) {
+    const text = extractTextContent(element);
+    entry = {
+      text,
+      textHash: hashText(text),
+      codeBlocks: extractCodeBlocks(element),
+      tokens: 0,
+      tokenizerId: null,
+      dirty: false
+    };
+    parsedMessageCache.set(element, entry);
+  }
+
+  // Recount only when the estimator changed
+  const tokenizerId = getTokenizer().id;
+  if (entry.tokenizerId !== tokenizerId) {
+    entry.tokens = countTokens(entry.text);
+    entry.tokenizerId = getTokenizer().id;
+  }
+  return entry;
+}
+
+function markMessageDirty(element) {
+  const entry = parsedMessageCache.get(element);
+  if (entry) entry.dirty = true;
+}
+
+/**
+ * Notice when messages are added or removed, and re-scope the observer
+ * and visible char count when they are
+ */
+function trackMessageList(messageElements) {
+  const count = messageElements.length;
+  const first = count > 0 ? messageElements[0] : null;
+  const last = count > 0 ? messageElements[count - 1] : null;
+  const previous = state.messageList;
+  if (previous.count === count && previous.first === first && previous.last === last) return;
+
+  state.messageList = { count, first, last };
+  state.visibleCharsDirty = true;
+  observeConversation(messageElements);
+}
+
+/**
+ * Read the active model name from claude.ai's model picker
+ */
+function detectModelName() {
+  for (const selector of CONFIG.MODEL_SELECTORS) {
+    const element = document.querySelector(selector);
+    const text = element ? normalizeText(element.textContent || '') : '';
+    if (text) return text;
+  }
+  return '';
+}
+
+/**
+ * Pick the context window from the manual override or the detected model
+ * Returns { id, label, tokens, source, modelName }
+ */
+function resolveContextWindow(modelName) {
+  const windows = CONFIG.MODEL_CONTEXT_WINDOWS;
+  const override = state.settings?.modelOverride;
+  if (override && override !== 'auto') {
+    const match = windows.find(entry => entry.id === override);
+    if (match) {
+      return { id: match.id, label: match.label, tokens: match.tokens, source: 'override', modelName };
+    }
+  }
+
+  const detected = modelName && windows.find(entry => entry.pattern && entry.pattern.test(modelName));
+  if (detected) {
+    return { id: detected.id, label: detected.label, tokens: detected.tokens, source: 'detected', modelName };
+  }
+
+  return {
+    id: 'default',
+    label: modelName || 'Unknown model',
+    tokens: CONFIG.REFERENCE_CONTEXT_TOKENS,
+    source: 'default',
+    modelName
+  };
 }
 
 /**
@@ -178,13 +866,27 @@ function extractTextContent(element) {
   // Clone to avoid modifying original
   const clone = element.cloneNode(true);
 
-  // Remove any UI elements (buttons, icons, etc)
-  const uiElements = clone.querySelectorAll('button, svg, [role="button"]');
+  // Remove any UI elements (buttons, icons, our own overlays, etc)
+  const uiElements = clone.querySelectorAll('button, svg, [role="button"], [data-healthbar-ui]');
   uiElements.forEach(el => el.remove());
 
   return clone.textContent || '';
 }
 
+/**
+ * Collect rendered code blocks (<pre>) with their language, if labelled
+ */
+function extractCodeBlocks(element) {
+  return Array.from(element.querySelectorAll('pre')).map((pre) => {
+    const code = pre.querySelector('code') || pre;
+    const languageMatch = `${code.className || ''} ${pre.className || ''}`.match(/language-([\w+#-]+)/);
+    return {
+      language: languageMatch ? languageMatch[1] : '',
+      code: code.textContent || ''
+    };
+  }).filter(block => block.code.trim().length > 0);
+}
+
 /**
  * Create a stable-ish hash for message IDs
  */
@@ -246,16 +948,206 @@ function getAncestors(node) {
   return ancestors;
 }
 
+// ============================================================================
+// ATTACHMENTS
+// ============================================================================
+
+/**
+ * Estimate context used by things that aren't message text: uploaded
+ * files, images, artifacts and project knowledge.
+ * Returns { items: [{ kind, label, tokens, estimated }], tokens, counts }
+ */
+function collectAttachments(messageElements, contextWindow) {
+  const elements = Array.from(messageElements || []);
+  const root = findCommonAncestor(elements) || document.querySelector('main') || document.body;
+  const items = [];
+  const seen = new Set();
+
+  const matchAll = selectors => Array.from(root.querySelectorAll(selectors.join(', ')))
+    .filter(element => !element.closest('[data-healthbar-ui]'));
+  const outermost = list => list.filter(element => !list.some(other => other !== element && other.contains(element)));
+
+  // File and pasted-content chips (an image thumbnail makes it an image)
+  outermost(matchAll(CONFIG.ATTACHMENT_SELECTORS)).forEach((chip) => {
+    seen.add(chip);
+    const label = normalizeText(chip.textContent || chip.getAttribute('aria-label') || '');
+    const image = chip.querySelector('img');
+    if (image && !/\b(pdf|docx?|txt|csv|md|json|pages?|lines?)\b/i.test(label)) {
+      seen.add(image);
+      items.push({ kind: 'image', label: label || image.alt || 'Image', tokens: CONFIG.IMAGE_TOKENS, estimated: true });
+      return;
+    }
+    const size = estimateAttachmentTokens(label);
+    items.push({ kind: 'file', label: label || 'File', tokens: size.tokens, estimated: size.estimated });
+  });
+
+  // Images pasted straight into user messages
+  elements.filter(element => (element.getAttribute('data-testid') || '').includes('user')).forEach((element) => {
+    element.querySelectorAll('img').forEach((image) => {
+      if (seen.has(image) || image.closest('[data-healthbar-ui]')) return;
+      const width = image.naturalWidth || image.width || 0;
+      const height = image.naturalHeight || image.height || 0;
+      // Skip icons and avatars; images still loading have no size yet
+      if (image.complete && width < CONFIG.IMAGE_MIN_SIZE_PX && height < CONFIG.IMAGE_MIN_SIZE_PX) return;
+      seen.add(image);
+      items.push({ kind: 'image', label: image.alt || 'Image', tokens: CONFIG.IMAGE_TOKENS, estimated: true });
+    });
+  });
+
+  // Artifacts: use the measured size if the artifact was opened, else a default
+  measureOpenArtifact();
+  const artifactSizes = state.artifactSizes[state.conversationId] || {};
+  outermost(matchAll(CONFIG.ARTIFACT_SELECTORS)).forEach((card) => {
+    const title = getArtifactTitle(card);
+    const measured = title ? artifactSizes[title] : undefined;
+    items.push({
+      kind: 'artifact',
+      label: title || normalizeText(card.textContent || '') || 'Artifact',
+      tokens: measured === undefined ? CONFIG.ARTIFACT_DEFAULT_TOKENS : measured,
+      estimated: measured === undefined
+    });
+  });
+
+  const project = detectProjectKnowledge(contextWindow);
+  if (project) items.push(project);
+
+  const counts = { file: 0, image: 0, artifact: 0, project: 0 };
+  items.forEach((item) => {
+    counts[item.kind] += 1;
+  });
+  return {
+    items,
+    tokens: items.reduce((sum, item) => sum + item.tokens, 0),
+    counts
+  };
+}
+
+/**
+ * Size hints shown on attachment chips: "12 KB", "3 pages", "240 lines"
+ */
+function estimateAttachmentTokens(label) {
+  const text = label.replace(/(\d),(\d{3})\b/g, '$1$2');
+  const bytes = text.match(/(\d+(?:\.\d+)?)\s*(B|KB|MB)\b/i);
+  if (bytes) {
+    const unit = { b: 1, kb: 1024, mb: 1024 * 1024 }[bytes[2].toLowerCase()];
+    return { tokens: Math.ceil((Number(bytes[1]) * unit) / CONFIG.ATTACHMENT_BYTES_PER_TOKEN), estimated: false };
+  }
+  const pages = text.match(/(\d+)\s*pages?\b/i);
+  if (pages) {
+    return { tokens: Number(pages[1]) * CONFIG.ATTACHMENT_TOKENS_PER_PAGE, estimated: false };
+  }
+  const lines = text.match(/(\d+)\s*lines?\b/i);
+  if (lines) {
+    return { tokens: Number(lines[1]) * CONFIG.ATTACHMENT_TOKENS_PER_LINE, estimated: false };
+  }
+  return { tokens: CONFIG.ATTACHMENT_DEFAULT_TOKENS, estimated: true };
+}
+
+/**
+ * Title of an artifact card or the open artifact panel; cards and the panel
+ * both show it as a heading
+ */
+function getArtifactTitle(element) {
+  const heading = element.querySelector('h1, h2, h3, [class*="title"]');
+  return normalizeText(heading?.textContent || '');
+}
+
+/**
+ * Remember the size of the artifact open in the side panel, keyed by
+ * conversation and title
+ */
+function measureOpenArtifact() {
+  const panel = document.querySelector(CONFIG.ARTIFACT_PANEL_SELECTORS.join(', '));
+  if (!panel) return;
+  const title = getArtifactTitle(panel);
+  const text = panel.querySelector('pre, code, article')?.textContent || panel.textContent || '';
+  if (!title || !text.trim()) return;
+  const sizes = state.artifactSizes[state.conversationId] || {};
+  sizes[title] = countTokens(text);
+  state.artifactSizes[state.conversationId] = sizes;
+}
+
+/**
+ * The artifact panel and the project capacity figure sit outside the
+ * observed conversation container; re-collect attachments when either
+ * changes. Runs on the conversation-change poll.
+ */
+function checkAttachmentPanels() {
+  const panel = document.querySelector(CONFIG.ARTIFACT_PANEL_SELECTORS.join(', '));
+  const indicator = document.querySelector(CONFIG.PROJECT_CAPACITY_SELECTORS.join(', '));
+  const signature = [
+    panel ? getArtifactTitle(panel) : '',
+    panel ? (panel.textContent || '').length : 0,
+    indicator ? normalizeText(indicator.textContent || '') : ''
+  ].join('|');
+  if (signature === state.attachmentPanelSignature) return;
+  state.attachmentPanelSignature = signature;
+  state.visibleCharsDirty = true;
+  scheduleUpdate();
+}
+
+/**
+ * Project chats carry the project's knowledge. Its size is only known once
+ * the project panel has shown its "N% of capacity" figure.
+ */
+function detectProjectKnowledge(contextWindow) {
+  const link = Array.from(document.querySelectorAll(CONFIG.CHAT_HEADER_SELECTORS.join(', ')))
+    .map(header => header.querySelector(CONFIG.PROJECT_LINK_SELECTOR))
+    .find(Boolean);
+  if (!link) return null;
+  const projectId = (link.getAttribute('href') || '').split('/')[2] || 'project';
+
+  const indicator = document.querySelector(CONFIG.PROJECT_CAPACITY_SELECTORS.join(', '));
+  const match = indicator && (indicator.textContent || '').match(/(\d+(?:\.\d+)?)\s*%/);
+  if (match) state.projectCapacity[projectId] = Number(match[1]);
+
+  const percent = state.projectCapacity[projectId];
+  const windowTokens = contextWindow?.tokens || CONFIG.REFERENCE_CONTEXT_TOKENS;
+  return {
+    kind: 'project',
+    label: normalizeText(link.textContent || '') || 'Project knowledge',
+    tokens: percent === undefined ? 0 : Math.round((percent / 100) * windowTokens),
+    estimated: percent === undefined
+  };
+}
+
+/**
+ * One-line summary for the panel, e.g. "2 files ~8k, 1 image ~2k"
+ */
+function describeAttachments(attachments) {
+  const labels = { file: 'file', image: 'image', artifact: 'artifact' };
+  const parts = [];
+  Object.entries(labels).forEach(([kind, noun]) => {
+    const matching = attachments.items.filter(item => item.kind === kind);
+    if (matching.length === 0) return;
+    const tokens = matching.reduce((sum, item) => sum + item.tokens, 0);
+    parts.push(`${matching.length} ${noun}${matching.length === 1 ? '' : 's'} ~${formatCount(tokens)}`);
+  });
+  const project = attachments.items.find(item => item.kind === 'project');
+  if (project) {
+    parts.push(project.estimated ? 'project knowledge (size unknown)' : `project knowledge ~${formatCount(project.tokens)}`);
+  }
+  return parts.join(', ');
+}
+
 // ============================================================================
 // INSTRUCTION DETECTION
 // ============================================================================
 
 /**
  * Detect which messages contain core instructions
- * Returns array of instruction message indices
+ * Returns array of instruction records: { index, id, source, directives }
  */
 function detectInstructions(messages) {
   const instructions = [];
+  const addInstruction = (msg, index, source) => {
+    instructions.push({
+      index,
+      id: msg.id,
+      source,
+      directives: extractDirectives(msg.text)
+    });
+  };
 
   messages.forEach((msg, index) => {
     if (msg.role !== 'user') return;
@@ -263,7 +1155,13 @@ function detectInstructions(messages) {
 
     // Check if manually pinned
     if (state.pinnedMessageIds.has(msg.id)) {
-      instructions.push(index);
+      addInstruction(msg, index, 'pinned');
+      return;
+    }
+
+    // A sent reinforcement restates the instructions, so it resets distance
+    if (isReinforcementMessage(msg)) {
+      instructions.push({ index, id: msg.id, source: 'reinforced', directives: [] });
       return;
     }
 
@@ -290,7 +1188,7 @@ function detectInstructions(messages) {
     }
 
     if (isInstruction) {
-      instructions.push(index);
+      addInstruction(msg, index, 'auto');
     }
   });
 
@@ -298,30 +1196,162 @@ function detectInstructions(messages) {
 }
 
 /**
- * Count imperative phrases in text
- */
-function countImperativePhrases(text) {
-  const lowerText = text.toLowerCase();
-  return CONFIG.IMPERATIVE_PHRASES.filter(phrase => lowerText.includes(phrase)).length;
-}
-
-/**
- * Check if text contains bullet list patterns
- */
-function hasBulletList(text) {
-  const bulletPatterns = [/^[\s]*[-*]\s+/m, /^[\s]*\d+\.\s+/m];
-  return bulletPatterns.some(pattern => pattern.test(text));
-}
-
-// ============================================================================
-// NOISE DETECTION
-// ============================================================================
-
-/**
- * Detect noise patterns that correlate with degradation
+ * Opposing directive pairs. A directive is { topic, stance, text }; two
+ * instructions disagree when they set the same topic to different stances.
+ */
+const DIRECTIVE_RULES = [
+  {
+    topic: 'indentation',
+    stances: {
+      tabs: /\b(use|prefer|indent with) tabs\b/,
+      spaces: /\b(use|prefer|indent with) (\d+ )?spaces\b/
+    }
+  },
+  {
+    topic: 'length',
+    stances: {
+      brief: /\b(be (brief|concise|short)|keep (it|answers|responses) (short|brief)|short (answers|responses))\b/,
+      detailed: /\b(explain in detail|be (detailed|thorough)|in depth|go deep|(long|detailed) (answers|responses|explanations))\b/
+    }
+  },
+  {
+    topic: 'quotes',
+    stances: {
+      single: /\b(use|prefer) single quotes\b/,
+      double: /\b(use|prefer) double quotes\b/
+    }
+  },
+  {
+    topic: 'semicolons',
+    stances: {
+      semicolons: /\b(use|always use|add) semicolons\b/,
+      'no semicolons': /\b(no|never use|don't use|do not use|omit|without) semicolons\b/
+    }
+  },
+  {
+    topic: 'tone',
+    stances: {
+      formal: /\b(be formal|formal tone|professional tone)\b/,
+      casual: /\b(be casual|casual tone|informal|conversational tone)\b/
+    }
+  },
+  {
+    topic: 'code comments',
+    stances: {
+      comments: /\b(add|include|write) (code )?comments\b/,
+      'no comments': /\b(no|don't add|do not add|without|skip) (code )?comments\b/
+    }
+  },
+  {
+    topic: 'lists',
+    stances: {
+      lists: /\buse (bullet points|bullets|lists)\b/,
+      'no lists': /\b(no|never use|don't use|do not use|avoid) (bullet points|bullets|lists)\b/
+    }
+  },
+  {
+    topic: 'language',
+    extract: text => {
+      const match = text.match(/\b(?:respond|reply|answer|write) (?:only )?in ([a-z]+)\b/);
+      return match && LANGUAGE_HINTS[match[1]] ? match[1] : null;
+    }
+  },
+  {
+    topic: 'code language',
+    stances: {
+      typescript: /\b(use|write it in|write in) typescript\b/,
+      javascript: /\b(use|write it in|write in) (plain )?javascript\b/
+    }
+  }
+];
+
+/**
+ * Pull topic/stance directives out of an instruction message
+ */
+function extractDirectives(text) {
+  const directives = [];
+  splitSentences(text).forEach((sentence) => {
+    const lower = sentence.toLowerCase();
+    DIRECTIVE_RULES.forEach((rule) => {
+      if (rule.extract) {
+        const stance = rule.extract(lower);
+        if (stance) directives.push({ topic: rule.topic, stance, text: clipText(sentence, 120) });
+        return;
+      }
+      // Check negated stances first so "don't use semicolons" isn't read as "use semicolons"
+      const matched = Object.entries(rule.stances)
+        .sort(([a], [b]) => Number(b.startsWith('no ')) - Number(a.startsWith('no ')))
+        .find(([, pattern]) => pattern.test(lower));
+      if (matched) {
+        directives.push({ topic: rule.topic, stance: matched[0], text: clipText(sentence, 120) });
+      }
+    });
+  });
+  return directives;
+}
+
+/**
+ * Flag pairs of instructions that set the same topic to different stances.
+ * When the older instruction isn't pinned, the newer one most likely
+ * replaces it, so the pair is marked superseded and costs less. A pinned
+ * older instruction keeps being restated in handoffs and reminders, so it
+ * still clashes in full.
+ * Returns [{ topic, superseded, first: { index, stance, text }, second: { ... } }]
+ */
+function detectInstructionConflicts(instructions) {
+  const conflicts = [];
+  const seen = new Set();
+
+  instructions.forEach((first, i) => {
+    instructions.slice(i + 1).forEach((second) => {
+      first.directives.forEach((a) => {
+        second.directives.forEach((b) => {
+          if (a.topic !== b.topic || a.stance === b.stance) return;
+          const key = `${first.index}:${second.index}:${a.topic}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+          conflicts.push({
+            topic: a.topic,
+            superseded: first.source !== 'pinned',
+            first: { index: first.index, stance: a.stance, text: a.text },
+            second: { index: second.index, stance: b.stance, text: b.text }
+          });
+        });
+      });
+    });
+  });
+
+  return conflicts;
+}
+
+/**
+ * Count imperative phrases in text
+ */
+function countImperativePhrases(text) {
+  const lowerText = text.toLowerCase();
+  return CONFIG.IMPERATIVE_PHRASES.filter(phrase => lowerText.includes(phrase)).length;
+}
+
+/**
+ * Check if text contains bullet list patterns
+ */
+function hasBulletList(text) {
+  const bulletPatterns = [/^[\s]*[-*]\s+/m, /^[\s]*\d+\.\s+/m];
+  return bulletPatterns.some(pattern => pattern.test(text));
+}
+
+// ============================================================================
+// NOISE DETECTION
+// ============================================================================
+
+/**
+ * Detect noise patterns that correlate with degradation
+ * Returns { penalty, factors } where each factor is a breakdown item
  */
 function detectNoise(messages, totalTokens) {
+  const scoring = getScoring();
   let noisePenalty = 0;
+  const factors = [];
 
   // Count assistant vs user tokens
   let assistantTokens = 0;
@@ -332,7 +1362,7 @@ function detectNoise(messages, totalTokens) {
       assistantTokens += msg.tokens;
 
       // Check for long monologues
-      if (msg.charCount > CONFIG.LONG_MESSAGE_THRESHOLD) {
+      if (msg.charCount > scoring.LONG_MESSAGE_THRESHOLD) {
         longMonologueCount++;
       }
     }
@@ -341,15 +1371,626 @@ function detectNoise(messages, totalTokens) {
   // Penalty for long assistant monologues
   if (longMonologueCount > 0) {
     noisePenalty += 10;
+    factors.push({
+      factor: 'noise',
+      label: 'Long assistant replies',
+      points: 10,
+      detail: `${longMonologueCount} repl${longMonologueCount === 1 ? 'y' : 'ies'} over ${formatCount(scoring.LONG_MESSAGE_THRESHOLD)} chars`
+    });
   }
 
   // Penalty for assistant dominance
-  const assistantRatio = assistantTokens / totalTokens;
-  if (assistantRatio > CONFIG.ASSISTANT_DOMINANCE_RATIO) {
+  const assistantRatio = totalTokens > 0 ? assistantTokens / totalTokens : 0;
+  if (assistantRatio > scoring.ASSISTANT_DOMINANCE_RATIO) {
     noisePenalty += 15;
+    factors.push({
+      factor: 'noise',
+      label: 'Assistant dominance',
+      points: 15,
+      detail: `Assistant wrote ${Math.round(assistantRatio * 100)}% of tokens (limit ${Math.round(scoring.ASSISTANT_DOMINANCE_RATIO * 100)}%)`
+    });
+  }
+
+  return { penalty: noisePenalty, factors };
+}
+
+// ============================================================================
+// INSTRUCTION DRIFT
+// ============================================================================
+
+const DRIFT_STOP_WORDS = new Set([
+  'a', 'an', 'the', 'any', 'to', 'be', 'it', 'me', 'that', 'this', 'so',
+  'too', 'much', 'more', 'less', 'of', 'in', 'on', 'with', 'for', 'and', 'or'
+]);
+
+const LANGUAGE_HINTS = {
+  english: { words: ['the', 'and', 'is', 'you', 'that', 'with', 'for', 'this'] },
+  spanish: { words: ['el', 'la', 'que', 'de', 'los', 'para', 'con', 'una', 'es'] },
+  french: { words: ['le', 'la', 'les', 'des', 'est', 'que', 'pour', 'avec', 'une'] },
+  german: { words: ['der', 'die', 'und', 'ist', 'das', 'nicht', 'mit', 'ein', 'zu'] },
+  portuguese: { words: ['o', 'que', 'de', 'não', 'uma', 'para', 'com', 'os', 'é'] },
+  italian: { words: ['il', 'che', 'di', 'non', 'una', 'per', 'con', 'gli', 'è'] },
+  chinese: { script: /\p{Script=Han}/u },
+  japanese: { script: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  korean: { script: /\p{Script=Hangul}/u },
+  russian: { script: /\p{Script=Cyrillic}/u }
+};
+
+/**
+ * Pull explicit, checkable constraints out of instruction messages.
+ * Returns [{ type, value, sourceIndex, text }]
+ */
+function extractConstraints(messages, instructionIndices) {
+  const constraints = [];
+  const seen = new Set();
+  const add = (constraint) => {
+    const key = `${constraint.type}:${constraint.value}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    constraints.push(constraint);
+  };
+
+  instructionIndices.forEach((sourceIndex) => {
+    const msg = messages[sourceIndex];
+    if (!msg) return;
+    splitSentences(msg.text).forEach((sentence) => {
+      const lower = sentence.toLowerCase();
+      const base = { sourceIndex, text: clipText(sentence, 120) };
+
+      if (/\b(no|never use|do not use|don't use|avoid|without)\s+emojis?\b/.test(lower)) {
+        add({ ...base, type: 'no-emoji', value: 'emoji' });
+      }
+      if (/\b(no|never use|do not use|don't use|avoid|without)\s+(bullet(ed)?\s*(points|lists)?|lists)\b/.test(lower)) {
+        add({ ...base, type: 'no-bullets', value: 'bullets' });
+      }
+      if (/\b(no|never use|do not use|don't use|avoid|without)\s+(headings|headers)\b/.test(lower)) {
+        add({ ...base, type: 'no-headings', value: 'headings' });
+      }
+      if (/\b(no|never include|do not include|don't include|without)\s+code(\s+blocks?)?\b/.test(lower)) {
+        add({ ...base, type: 'no-code', value: 'code' });
+      }
+
+      const maxWords = lower.match(/\b(?:under|at most|no more than|less than|fewer than|max(?:imum)?(?: of)?)\s+(\d{1,4})\s+words\b/);
+      if (maxWords) {
+        add({ ...base, type: 'max-words', value: Number(maxWords[1]) });
+      }
+
+      const language = lower.match(/\b(?:always\s+)?(?:respond|reply|answer|write)\s+(?:only\s+)?in\s+([a-z]+)\b/);
+      if (language && (LANGUAGE_HINTS[language[1]] || language[1] === 'json')) {
+        add({ ...base, type: language[1] === 'json' ? 'json' : 'language', value: language[1] });
+      }
+
+      const forbid = lower.match(/\b(?:never|do not|don't)\s+(?:use|say|mention|include|write)\s+([^.,;:!?]+)/);
+      if (forbid) {
+        const term = extractForbiddenTerm(forbid[1]);
+        if (term) add({ ...base, type: 'forbid-term', value: term });
+      }
+    });
+  });
+
+  return constraints;
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(part => part.trim())
+    .filter(part => part.length > 0);
+}
+
+/**
+ * Reduce "the word 'utilize' in replies" to a short searchable term
+ */
+function extractForbiddenTerm(phrase) {
+  const quoted = phrase.match(/["'`“‘]([^"'`”’]{2,40})["'`”’]/);
+  if (quoted) return quoted[1].trim().toLowerCase();
+
+  // Skip leading filler, then stop at the next filler word ("var in JS" -> "var")
+  const words = [];
+  for (const raw of phrase.split(/\s+/)) {
+    const word = raw.replace(/[^\p{L}\p{N}_$#+-]/gu, '');
+    if (!word) continue;
+    if (DRIFT_STOP_WORDS.has(word) || /^(when|unless|if|because|word|words|phrase|term)$/.test(word)) {
+      if (words.length > 0) break;
+      continue;
+    }
+    words.push(word);
+    if (words.length === 2) break;
+  }
+  const term = words.join(' ');
+  // Skip generic objects like "emojis" or "lists" (handled above) and tiny words
+  if (term.length < 2 || /^(emojis?|bullets?|lists?|headings?|headers?|code)$/.test(term)) return null;
+  return term;
+}
+
+/**
+ * Check one assistant message against one constraint.
+ * Returns a short reason string when it looks violated, otherwise null.
+ */
+function checkConstraint(constraint, msg) {
+  const element = msg.element;
+  const text = msg.text;
+
+  switch (constraint.type) {
+    case 'no-emoji':
+      return /\p{Extended_Pictographic}/u.test(text) ? 'uses emoji' : null;
+    case 'no-bullets':
+      return (element?.querySelector('ul, ol') || hasBulletList(text)) ? 'uses a list' : null;
+    case 'no-headings':
+      return (element?.querySelector('h1, h2, h3, h4, h5, h6') || /^#{1,6}\s/m.test(text)) ? 'uses headings' : null;
+    case 'no-code':
+      return (element?.querySelector('pre') || text.includes('```')) ? 'includes a code block' : null;
+    case 'max-words': {
+      const words = text.split(/\s+/).filter(Boolean).length;
+      return words > constraint.value * 1.2 ? `${words} words (limit ${constraint.value})` : null;
+    }
+    case 'json':
+      return /^[\s\S]{0,40}[{[]/.test(text.trim()) ? null : 'not JSON';
+    case 'language': {
+      const detected = detectLanguage(text);
+      return detected && detected !== constraint.value ? `looks like ${detected}` : null;
+    }
+    case 'forbid-term': {
+      const escaped = constraint.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(^|[^\\p{L}\\p{N}_])${escaped}($|[^\\p{L}\\p{N}_])`, 'iu');
+      return pattern.test(text) ? `mentions "${constraint.value}"` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Guess the dominant language from scripts and common words
+ */
+function detectLanguage(text) {
+  const sample = text.slice(0, 2000);
+  for (const [name, hint] of Object.entries(LANGUAGE_HINTS)) {
+    if (!hint.script) continue;
+    const matches = sample.match(new RegExp(hint.script.source, 'gu')) || [];
+    if (matches.length > sample.length * 0.2) return name;
+  }
+
+  const words = sample.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  if (words.length < 20) return null;
+  let best = null;
+  let bestScore = 0;
+  Object.entries(LANGUAGE_HINTS).forEach(([name, hint]) => {
+    if (!hint.words) return;
+    const score = words.filter(word => hint.words.includes(word)).length;
+    if (score > bestScore) {
+      best = name;
+      bestScore = score;
+    }
+  });
+  return bestScore >= 3 ? best : null;
+}
+
+/**
+ * Check recent assistant replies against extracted constraints
+ * Returns { penalty, constraints, violations: [{ index, id, reasons }] }
+ */
+function detectDrift(messages, instructionIndices) {
+  const constraints = extractConstraints(messages, instructionIndices);
+  const violations = [];
+  if (constraints.length === 0) {
+    return { penalty: 0, constraints, violations };
+  }
+
+  const recentAssistant = messages
+    .map((msg, index) => ({ msg, index }))
+    .filter(item => item.msg.role === 'assistant')
+    .slice(-CONFIG.DRIFT_RECENT_ASSISTANT);
+
+  recentAssistant.forEach(({ msg, index }) => {
+    const reasons = [];
+    constraints.forEach((constraint) => {
+      if (constraint.sourceIndex > index) return;
+      const reason = checkConstraint(constraint, msg);
+      if (reason) reasons.push(`${reason} (rule: "${constraint.text}")`);
+    });
+    if (reasons.length > 0) {
+      violations.push({ index, id: msg.id, reasons });
+    }
+  });
+
+  const penalty = Math.min(CONFIG.DRIFT_MAX_PENALTY, violations.length * CONFIG.DRIFT_PENALTY_PER_MESSAGE);
+  return { penalty, constraints, violations };
+}
+
+/**
+ * Highlight assistant messages with suspected rule violations
+ */
+function markDriftViolations(messages, drift) {
+  const flagged = new Map((drift?.violations || []).map(v => [v.id, v]));
+  messages.forEach((msg) => {
+    if (msg.role !== 'assistant' || !msg.element) return;
+    const violation = flagged.get(msg.id);
+    msg.element.classList.toggle('health-bar-drift', Boolean(violation));
+    setMessageBadge(msg.element, 'drift', 'drift', violation ? violation.reasons.join('\n') : null);
+  });
+}
+
+// ============================================================================
+// TOPIC SEGMENTATION
+// ============================================================================
+
+const TOPIC_STOP_WORDS = new Set([
+  'about', 'above', 'after', 'again', 'also', 'and', 'any', 'are', 'because',
+  'been', 'before', 'being', 'below', 'between', 'both', 'but', 'can', 'could',
+  'did', 'does', 'doing', 'done', 'each', 'else', 'even', 'every', 'few', 'for',
+  'from', 'get', 'gets', 'getting', 'give', 'going', 'good', 'great', 'had',
+  'has', 'have', 'having', 'her', 'here', 'him', 'his', 'how', 'into', 'its',
+  'just', 'know', 'let', 'like', 'look', 'make', 'makes', 'many', 'may', 'might',
+  'more', 'most', 'much', 'must', 'need', 'new', 'not', 'now', 'off', 'once',
+  'one', 'only', 'other', 'our', 'out', 'over', 'own', 'please', 'really',
+  'same', 'see', 'she', 'should', 'some', 'still', 'such', 'sure', 'take',
+  'than', 'thank', 'thanks', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'through',
+  'too', 'two', 'under', 'until', 'use', 'used', 'using', 'very', 'want',
+  'was', 'way', 'well', 'were', 'what', 'when', 'where', 'which', 'while',
+  'who', 'why', 'will', 'with', 'without', 'would', 'yes', 'yet', 'you',
+  'your', 'yours', "here's", "it's", "i'm", "don't", "can't", "let's",
+  "that's", "there's", "you're", "i'll", "we'll", "you'll",
+  // Conversational filler that shows up in any topic
+  'able', 'actually', 'add', 'added', 'adding', 'all', 'already', 'always',
+  'another', 'anything', 'around', 'ask', 'back', 'came', 'change', 'changed',
+  'come', 'correct', 'didn', 'different', 'doesn', 'enough', 'error', 'example',
+  'first', 'fix', 'fixed', 'found', 'got', 'happen', 'help', 'however', 'idea',
+  'instead', 'isn', 'issue', 'keep', 'last', 'later', 'least', 'less', 'little',
+  'long', 'made', 'maybe', 'mean', 'next', 'nothing', 'okay', 'once', 'part',
+  'per', 'point', 'problem', 'put', 'question', 'quite', 'rather', 'right',
+  'said', 'say', 'second', 'seem', 'show', 'since', 'something', 'start',
+  'step', 'tell', 'though', 'time', 'tried', 'try', 'trying', 'went', 'whether',
+  'work', 'worked', 'working', 'wrong', 'yeah', "didn't", "doesn't", "isn't",
+  "won't", "i've", "you've", "we're", "they're", "what's"
+]);
+
+// Term counts per message id; message ids hash the text, so entries never go stale
+let topicTermCache = new Map();
+
+/**
+ * Keyword counts for one message: lowercased words of 3+ letters, stop
+ * words dropped, trailing plural "s" folded so "test" and "tests" match
+ */
+function getTopicTerms(msg) {
+  const cached = topicTermCache.get(msg.id);
+  if (cached) return cached;
+
+  const terms = new Map();
+  const words = msg.text.toLowerCase().match(/[\p{L}][\p{L}\p{N}_'-]{2,}/gu) || [];
+  words.forEach((raw) => {
+    const word = raw.replace(/['-]+$/, '');
+    if (word.length < 3 || TOPIC_STOP_WORDS.has(word)) return;
+    const term = word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+    if (TOPIC_STOP_WORDS.has(term)) return;
+    terms.set(term, (terms.get(term) || 0) + 1);
+  });
+  topicTermCache.set(msg.id, terms);
+  return terms;
+}
+
+function addVector(target, vector) {
+  vector.forEach((weight, term) => {
+    target.set(term, (target.get(term) || 0) + weight);
+  });
+  return target;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((weight, term) => {
+    normA += weight * weight;
+    const other = b.get(term);
+    if (other) dot += weight * other;
+  });
+  b.forEach((weight) => {
+    normB += weight * weight;
+  });
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+function sumVectors(vectors, start, end) {
+  const sum = new Map();
+  for (let i = start; i < end; i++) addVector(sum, vectors[i]);
+  return sum;
+}
+
+/**
+ * Split the conversation into topic segments. Each message becomes a TF-IDF
+ * vector; a boundary is a user message where the windows before and after
+ * it share almost no weighted keywords. Segments that return to an earlier
+ * topic are not counted as distinct.
+ * Returns { segments: [{ start, end, label, distinct }], distinctCount, boundaries }
+ */
+function detectTopicShifts(messages) {
+  const entries = [];
+  messages.forEach((msg, index) => {
+    if (!msg.isDraft && msg.text) entries.push({ msg, index });
+  });
+
+  const termLists = entries.map(entry => getTopicTerms(entry.msg));
+  const liveIds = new Set(entries.map(entry => entry.msg.id));
+  if (topicTermCache.size > liveIds.size * 2) {
+    topicTermCache = new Map([...topicTermCache].filter(([id]) => liveIds.has(id)));
+  }
+
+  const empty = { segments: [], distinctCount: 0, boundaries: [] };
+  const windowSize = CONFIG.TOPIC_WINDOW_MESSAGES;
+  if (entries.length < windowSize * 2) return empty;
+
+  // Document frequency -> smoothed IDF: rare terms weigh more, but the
+  // chat's running subject (used in most messages) still links windows
+  const documentFrequency = new Map();
+  termLists.forEach((terms) => {
+    terms.forEach((count, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+  const vectors = termLists.map((terms) => {
+    const vector = new Map();
+    let total = 0;
+    terms.forEach((count) => { total += count; });
+    terms.forEach((count, term) => {
+      const idf = Math.log(1 + entries.length / documentFrequency.get(term));
+      vector.set(term, (count / total) * idf);
+    });
+    return vector;
+  });
+
+  // Similarity across each candidate position (topic changes come from the user)
+  const candidates = [];
+  for (let pos = windowSize; pos <= entries.length - windowSize; pos++) {
+    if (entries[pos].msg.role !== 'user') continue;
+    const before = sumVectors(vectors, pos - windowSize, pos);
+    const after = sumVectors(vectors, pos, pos + windowSize);
+    const similarity = cosineSimilarity(before, after);
+    if (similarity < CONFIG.TOPIC_SHIFT_SIMILARITY) candidates.push({ pos, similarity });
+  }
+
+  // Lowest similarity first, keeping segments at least the minimum length apart
+  const minGap = CONFIG.TOPIC_MIN_SEGMENT_MESSAGES;
+  const chosen = [];
+  candidates
+    .sort((a, b) => a.similarity - b.similarity)
+    .forEach((candidate) => {
+      if (candidate.pos < minGap || entries.length - candidate.pos < minGap) return;
+      if (chosen.some(pos => Math.abs(pos - candidate.pos) < minGap)) return;
+      chosen.push(candidate.pos);
+    });
+  chosen.sort((a, b) => a - b);
+
+  // A dip between two windows may be a local change of vocabulary; keep a
+  // boundary only if the whole stretches on either side differ too
+  const spanSimilarity = (i, pos = chosen[i]) => {
+    const from = i > 0 ? chosen[i - 1] : 0;
+    const to = i + 1 < chosen.length ? chosen[i + 1] : entries.length;
+    return cosineSimilarity(sumVectors(vectors, from, pos), sumVectors(vectors, pos, to));
+  };
+
+  // The window dip can sit a few messages early or late; move each boundary
+  // to the nearby user message that best separates the stretches around it
+  chosen.forEach((pos, i) => {
+    const low = Math.max(pos - windowSize, (i > 0 ? chosen[i - 1] : 0) + minGap);
+    const high = Math.min(pos + windowSize, (i + 1 < chosen.length ? chosen[i + 1] : entries.length) - minGap);
+    let best = spanSimilarity(i);
+    for (let candidate = low; candidate <= high; candidate++) {
+      if (entries[candidate].msg.role !== 'user') continue;
+      const similarity = spanSimilarity(i, candidate);
+      if (similarity < best) {
+        best = similarity;
+        chosen[i] = candidate;
+      }
+    }
+  });
+
+  while (chosen.length > 0) {
+    const spans = chosen.map((pos, i) => spanSimilarity(i));
+    const weakest = spans.indexOf(Math.max(...spans));
+    if (spans[weakest] < CONFIG.TOPIC_SEGMENT_SIMILARITY) break;
+    chosen.splice(weakest, 1);
+  }
+  if (chosen.length === 0) return empty;
+
+  const starts = [0, ...chosen];
+  const segmentVectors = [];
+  const segments = starts.map((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1] : entries.length;
+    const vector = sumVectors(vectors, start, end);
+    const distinct = !segmentVectors.some(previous => cosineSimilarity(previous, vector) >= CONFIG.TOPIC_SAME_SIMILARITY);
+    segmentVectors.push(vector);
+    const label = [...vector.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CONFIG.TOPIC_LABEL_TERMS)
+      .map(([term]) => term)
+      .join(', ');
+    return {
+      start: entries[start].index,
+      end: entries[end - 1].index,
+      label: label || 'untitled',
+      distinct
+    };
+  });
+
+  return {
+    segments,
+    distinctCount: segments.filter(segment => segment.distinct).length,
+    boundaries: segments.slice(1).map(segment => segment.start)
+  };
+}
+
+// ============================================================================
+// LOOP DETECTION
+// ============================================================================
+
+// MinHash signatures per message id: { text, code: [{ language, signature }] }
+let loopSignatureCache = new Map();
+
+function mixHash(value) {
+  let h = value | 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * MinHash signature over word shingles, or null when the text has fewer
+ * than minShingles. With minShingles 0, a text shorter than one shingle
+ * hashes as a single shingle.
+ */
+function minHashSignature(text, minShingles = 0) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]+/gu) || [];
+  const size = CONFIG.LOOP_SHINGLE_WORDS;
+  const shingles = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    shingles.add(words.slice(i, i + size).join(' '));
+  }
+  if (shingles.size < minShingles) return null;
+  if (shingles.size === 0 && words.length > 0) shingles.add(words.join(' '));
+
+  const signature = new Uint32Array(CONFIG.LOOP_MINHASH_SIZE).fill(0xffffffff);
+  shingles.forEach((shingle) => {
+    const base = parseInt(hashText(shingle), 36);
+    for (let k = 0; k < signature.length; k++) {
+      const h = mixHash(base ^ Math.imul(k + 1, 0x9e3779b1));
+      if (h < signature[k]) signature[k] = h;
+    }
+  });
+  return shingles.size > 0 ? signature : null;
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ */
+function signatureSimilarity(a, b) {
+  if (!a || !b) return 0;
+  let same = 0;
+  for (let k = 0; k < a.length; k++) {
+    if (a[k] === b[k]) same++;
+  }
+  return same / a.length;
+}
+
+function getLoopSignatures(msg) {
+  const cached = loopSignatureCache.get(msg.id);
+  if (cached) return cached;
+  const codeBlocks = msg.codeBlocks || [];
+  // Prose only, so a reply that reposts the same code with a new explanation isn't a repeat
+  let prose = msg.text;
+  codeBlocks.forEach((block) => {
+    prose = prose.replace(block.code, ' ');
+  });
+  const signatures = {
+    // Short prose ("Done.", "Here's the updated code:") is too thin to compare
+    text: minHashSignature(prose, CONFIG.LOOP_MIN_PROSE_SHINGLES),
+    code: codeBlocks.map(block => ({
+      language: block.language,
+      signature: minHashSignature(block.code),
+      hash: hashText(block.code.replace(/\s+/g, ' ').trim())
+    }))
+  };
+  loopSignatureCache.set(msg.id, signatures);
+  return signatures;
+}
+
+function bestCodeMatch(blocks, candidates) {
+  let best = 0;
+  blocks.forEach((block) => {
+    candidates.forEach((candidate) => {
+      if (block.language && candidate.language && block.language !== candidate.language) return;
+      best = Math.max(best, signatureSimilarity(block.signature, candidate.signature));
+    });
+  });
+  return best;
+}
+
+/**
+ * Find recent assistant replies that repeat an earlier reply, open with
+ * another apology, or bring back code that a reply in between had replaced
+ * Returns { penalty, checked, loops: [{ index, id, kinds, reasons }] }
+ */
+function detectLoops(messages) {
+  // reply: 1-based position among assistant replies, as shown in reasons
+  const recent = messages
+    .map((msg, index) => ({ msg, index }))
+    .filter(item => item.msg.role === 'assistant' && !item.msg.isDraft)
+    .map((item, reply) => ({ ...item, reply: reply + 1 }))
+    .filter(item => item.msg.text)
+    .slice(-CONFIG.LOOP_RECENT_ASSISTANT)
+    .map(item => ({ ...item, signatures: getLoopSignatures(item.msg) }));
+
+  const liveIds = new Set(messages.map(msg => msg.id));
+  if (loopSignatureCache.size > liveIds.size * 2) {
+    loopSignatureCache = new Map([...loopSignatureCache].filter(([id]) => liveIds.has(id)));
+  }
+
+  const flagged = new Map();
+  const flag = (item, kind, reason) => {
+    if (!flagged.has(item.index)) {
+      flagged.set(item.index, { index: item.index, id: item.msg.id, kinds: [], reasons: [] });
+    }
+    const entry = flagged.get(item.index);
+    if (!entry.kinds.includes(kind)) entry.kinds.push(kind);
+    entry.reasons.push(reason);
+  };
+
+  recent.forEach((item, j) => {
+    for (let i = 0; i < j; i++) {
+      const earlier = recent[i];
+      const similarity = signatureSimilarity(item.signatures.text, earlier.signatures.text);
+      // Same explanation around different code is a new answer, not a repeat
+      const codeMatches = item.signatures.code.length === 0 ||
+        bestCodeMatch(item.signatures.code, earlier.signatures.code) >= CONFIG.LOOP_CODE_SIMILARITY;
+      if (similarity >= CONFIG.LOOP_REPEAT_SIMILARITY && codeMatches) {
+        flag(item, 'repeat', `Repeats reply #${earlier.reply} (~${Math.round(similarity * 100)}% similar)`);
+        break;
+      }
+    }
+
+    if (item.signatures.code.length === 0) return;
+    for (let i = j - 1; i >= 0; i--) {
+      const earlier = recent[i];
+      if (bestCodeMatch(item.signatures.code, earlier.signatures.code) < CONFIG.LOOP_CODE_SIMILARITY) continue;
+      // Same code again: an oscillation if a reply in between changed it
+      const changedBetween = recent.slice(i + 1, j).some(between => between.signatures.code.length > 0 &&
+        bestCodeMatch(between.signatures.code, earlier.signatures.code) < CONFIG.LOOP_CODE_SIMILARITY);
+      if (changedBetween) {
+        flag(item, 'oscillation', `Restores code from reply #${earlier.reply} after it was changed`);
+      } else if (item.signatures.code.some(block => earlier.signatures.code.some(other => other.hash === block.hash))) {
+        // Near matches are normal iteration on one file; only an identical block is the same fix again
+        flag(item, 'repeat', `Same code as reply #${earlier.reply}`);
+      }
+      break;
+    }
+  });
+
+  const apologies = recent.filter(item => CONFIG.LOOP_APOLOGY_PATTERN.test(item.msg.text.slice(0, 200)));
+  if (apologies.length >= CONFIG.LOOP_APOLOGY_MIN) {
+    apologies.forEach((item) => {
+      flag(item, 'apology', `Apology ${apologies.indexOf(item) + 1} of ${apologies.length} in recent replies`);
+    });
   }
 
-  return noisePenalty;
+  const loops = [...flagged.values()].sort((a, b) => a.index - b.index);
+  const penalty = Math.min(CONFIG.LOOP_MAX_PENALTY, loops.length * CONFIG.LOOP_PENALTY_PER_MESSAGE);
+  return { penalty, checked: recent.length, loops };
+}
+
+/**
+ * Outline repeated and looping replies in the thread
+ */
+function markLoopMessages(messages, loops) {
+  const flagged = new Map((loops?.loops || []).map(loop => [loop.id, loop]));
+  messages.forEach((msg) => {
+    if (msg.role !== 'assistant' || !msg.element) return;
+    const loop = flagged.get(msg.id);
+    msg.element.classList.toggle('health-bar-loop', Boolean(loop));
+    setMessageBadge(msg.element, 'loop', loop && loop.kinds.every(kind => kind === 'repeat') ? 'repeat' : 'loop',
+      loop ? loop.reasons.join('\n') : null);
+  });
 }
 
 // ============================================================================
@@ -358,11 +1999,16 @@ function detectNoise(messages, totalTokens) {
 
 /**
  * Calculate health score (0-100)
- * Returns { health, tier, reasons }
+ * Returns { health, tier, reasons, breakdown }
  */
-function calculateHealth(messages, totalTokens, instructionIndices, totalCharsOverride) {
+function calculateHealth(messages, totalTokens, instructions, totalCharsOverride, contextWindow, attachments) {
+  const scoring = getScoring();
+  const instructionIndices = instructions.map(instruction => instruction.index);
+  const windowTokens = contextWindow?.tokens || CONFIG.REFERENCE_CONTEXT_TOKENS;
+  const windowScale = windowTokens / CONFIG.REFERENCE_CONTEXT_TOKENS;
   let health = 100;
   const reasons = [];
+  const breakdown = [];
   const hasUserMessages = messages.some(msg => msg.role === 'user' && !msg.isDraft);
   const nonDraftMessages = messages.filter(msg => !msg.isDraft);
   const messageCount = nonDraftMessages.length;
@@ -371,6 +2017,9 @@ function calculateHealth(messages, totalTokens, instructionIndices, totalCharsOv
   const effectiveTokens = totalTokens;
   const effectiveChars = totalChars;
   const effectiveMessages = messageCount;
+  const attachmentTokens = attachments?.tokens || 0;
+  // Reported size: the larger of the token and char-based estimates
+  const reportedTokens = Math.max(totalTokens, estimateTokensFromChars(totalChars));
 
   // 1. Instruction distance penalty (primary factor)
   // UPDATED: Threshold-based approach with grace period for natural conversation
@@ -393,6 +2042,14 @@ function calculateHealth(messages, totalTokens, instructionIndices, totalCharsOv
     if (distanceFromEnd > 5000) {
       reasons.push(`Primary instruction ${Math.floor(distanceFromEnd / 1000)}k tokens back`);
     }
+    breakdown.push({
+      factor: 'instruction',
+      label: 'Instruction distance',
+      points: instructionPenalty,
+      detail: distanceRatio > 0.5
+        ? `${Math.round(distanceRatio * 100)}% of context after last instruction (${formatCount(distanceFromEnd)} tokens)`
+        : `Last instruction within grace period (${Math.round(distanceRatio * 100)}% of context after it)`
+    });
   } else if (hasUserMessages) {
     // No instructions detected at all
     const maxPenalty = 30;
@@ -400,27 +2057,34 @@ function calculateHealth(messages, totalTokens, instructionIndices, totalCharsOv
     const scaledPenalty = (totalChars / rampChars) * maxPenalty;
     instructionPenalty = Math.min(maxPenalty, scaledPenalty);
     reasons.push('No core instructions detected');
+    breakdown.push({
+      factor: 'instruction',
+      label: 'Instruction distance',
+      points: instructionPenalty,
+      detail: `No core instructions detected; ramps to ${maxPenalty} at ${formatCount(rampChars)} chars`
+    });
   }
 
   // 2. Length penalties (token/char/message count)
   let tokenPenalty = 0;
   let charPenalty = 0;
   let messagePenalty = 0;
-  if (effectiveTokens > CONFIG.TOKEN_THRESHOLDS.HIGH) {
+  // Token and char bands scale with the model's context window
+  if (effectiveTokens > scoring.TOKEN_THRESHOLDS.HIGH * windowScale) {
     tokenPenalty = 30;
-  } else if (effectiveTokens > CONFIG.TOKEN_THRESHOLDS.MEDIUM) {
+  } else if (effectiveTokens > scoring.TOKEN_THRESHOLDS.MEDIUM * windowScale) {
     tokenPenalty = 20;
-  } else if (effectiveTokens > CONFIG.TOKEN_THRESHOLDS.LOW) {
+  } else if (effectiveTokens > scoring.TOKEN_THRESHOLDS.LOW * windowScale) {
     tokenPenalty = 10;
   }
 
-  charPenalty = interpolatePenalty(CONFIG.CHAR_PENALTY_POINTS, effectiveChars);
+  charPenalty = interpolatePenalty(scoring.CHAR_PENALTY_POINTS, effectiveChars / windowScale);
 
-  if (effectiveMessages > CONFIG.MESSAGE_THRESHOLDS.HIGH) {
+  if (effectiveMessages > scoring.MESSAGE_THRESHOLDS.HIGH) {
     messagePenalty = 30;
-  } else if (effectiveMessages > CONFIG.MESSAGE_THRESHOLDS.MEDIUM) {
+  } else if (effectiveMessages > scoring.MESSAGE_THRESHOLDS.MEDIUM) {
     messagePenalty = 20;
-  } else if (effectiveMessages > CONFIG.MESSAGE_THRESHOLDS.LOW) {
+  } else if (effectiveMessages > scoring.MESSAGE_THRESHOLDS.LOW) {
     messagePenalty = 10;
   }
 
@@ -434,48 +2098,188 @@ function calculateHealth(messages, totalTokens, instructionIndices, totalCharsOv
   if (lengthPenalty === messagePenalty && messagePenalty > 0) {
     reasons.push(`Conversation length: ${messageCount} messages`);
   }
+  breakdown.push({
+    factor: 'length',
+    label: 'Conversation length',
+    points: lengthPenalty,
+    detail: describeLengthPenalty({
+      lengthPenalty,
+      tokenPenalty,
+      charPenalty,
+      messagePenalty,
+      totalTokens,
+      totalChars,
+      messageCount,
+      windowUsedTokens: getWindowUsedTokens({ totalTokens: reportedTokens, attachmentTokens }),
+      windowTokens
+    })
+  });
 
   // 3. Noise penalties
-  const noisePenalty = detectNoise(messages, totalTokens);
+  const noise = detectNoise(messages, totalTokens);
+  const noisePenalty = noise.penalty;
   if (noisePenalty > 0) {
     reasons.push('Long assistant responses detected');
   }
+  breakdown.push(...noise.factors);
+
+  // 4. Instruction drift (replies that break pinned/detected rules)
+  const drift = detectDrift(messages, instructionIndices);
+  const driftPenalty = drift.penalty;
+  if (drift.violations.length > 0) {
+    reasons.push(`${drift.violations.length} recent repl${drift.violations.length === 1 ? 'y' : 'ies'} may break instructions`);
+  }
+  if (drift.constraints.length > 0) {
+    breakdown.push({
+      factor: 'drift',
+      label: 'Instruction drift',
+      points: driftPenalty,
+      detail: drift.violations.length > 0
+        ? `${drift.violations.length} of last ${CONFIG.DRIFT_RECENT_ASSISTANT} replies flagged against ${drift.constraints.length} rule(s)`
+        : `${drift.constraints.length} rule(s) checked, no violations in recent replies`
+    });
+  }
+
+  // 5. Conflicting instructions
+  const conflicts = detectInstructionConflicts(instructions);
+  const supersededCount = conflicts.filter(conflict => conflict.superseded).length;
+  const activeCount = conflicts.length - supersededCount;
+  const conflictPenalty = Math.min(CONFIG.CONFLICT_MAX_PENALTY,
+    activeCount * CONFIG.CONFLICT_PENALTY_PER_PAIR + supersededCount * CONFIG.CONFLICT_SUPERSEDED_PENALTY);
+  if (conflicts.length > 0) {
+    reasons.push(`${conflicts.length} conflicting instruction pair${conflicts.length === 1 ? '' : 's'}` +
+      (supersededCount > 0 ? ` (${supersededCount} likely superseded)` : ''));
+    breakdown.push({
+      factor: 'conflict',
+      label: 'Conflicting instructions',
+      points: conflictPenalty,
+      detail: `${conflicts.map(conflict => conflict.topic).filter((t, i, all) => all.indexOf(t) === i).join(', ')} ` +
+        `set differently by ${conflicts.length} pair${conflicts.length === 1 ? '' : 's'}`
+    });
+  }
+
+  // 6. Attachments, artifacts and project knowledge, by share of the window
+  let attachmentPenalty = 0;
+  if (attachments && attachments.items.length > 0) {
+    const share = attachmentTokens / windowTokens;
+    attachmentPenalty = Math.min(CONFIG.ATTACHMENT_MAX_PENALTY, share * CONFIG.ATTACHMENT_PENALTY_PER_WINDOW);
+    if (attachmentPenalty >= 1) {
+      reasons.push(`Attachments: ~${formatCount(attachmentTokens)} tokens`);
+    }
+    breakdown.push({
+      factor: 'attachments',
+      label: 'Attachments',
+      points: attachmentPenalty,
+      detail: `${describeAttachments(attachments)} (${Math.round(share * 100)}% of window)`
+    });
+  }
+
+  // 7. Topic shifts (many unrelated topics in one chat)
+  const topics = detectTopicShifts(messages);
+  const extraTopics = Math.max(0, topics.distinctCount - CONFIG.TOPIC_FREE_TOPICS);
+  const topicPenalty = Math.min(CONFIG.TOPIC_MAX_PENALTY, extraTopics * CONFIG.TOPIC_PENALTY_PER_TOPIC);
+  if (topics.segments.length > 1) {
+    if (topicPenalty > 0) {
+      reasons.push(`Chat covers ${topics.distinctCount} distinct topics`);
+    }
+    breakdown.push({
+      factor: 'topics',
+      label: 'Topic shifts',
+      points: topicPenalty,
+      detail: `${topics.distinctCount} distinct topic${topics.distinctCount === 1 ? '' : 's'} across ` +
+        `${topics.segments.length} segments (${CONFIG.TOPIC_FREE_TOPICS} free)`
+    });
+  }
+
+  // 8. Repeated answers, apology loops and oscillating code
+  const loops = detectLoops(messages);
+  const loopPenalty = loops.penalty;
+  if (loops.loops.length > 0) {
+    reasons.push(`${loops.loops.length} repeated or looping repl${loops.loops.length === 1 ? 'y' : 'ies'}`);
+    const kinds = ['repeat', 'apology', 'oscillation']
+      .map(kind => [kind, loops.loops.filter(loop => loop.kinds.includes(kind)).length])
+      .filter(([, count]) => count > 0)
+      .map(([kind, count]) => `${count} ${kind === 'repeat' ? 'repeated' : kind === 'apology' ? 'apologizing' : 'oscillating code'}`);
+    breakdown.push({
+      factor: 'looping',
+      label: 'Looping replies',
+      points: loopPenalty,
+      detail: `${kinds.join(', ')} in the last ${loops.checked} replies`
+    });
+  }
 
   // Calculate final health
-  health = 100 - instructionPenalty - lengthPenalty - noisePenalty;
+  health = 100 - instructionPenalty - lengthPenalty - noisePenalty - driftPenalty - conflictPenalty - attachmentPenalty - topicPenalty - loopPenalty;
   health = Math.max(0, Math.min(100, health));
 
   // Determine tier
-  let tier;
-  if (health >= 80) tier = 'stable';
-  else if (health >= 50) tier = 'degrading';
-  else if (health >= 20) tier = 'unreliable';
-  else tier = 'critical';
+  const tier = getTier(health, scoring);
 
   return {
     health: Math.round(health),
     tier,
     reasons,
+    breakdown,
+    drift,
+    conflicts,
+    topics,
+    loops,
     hasUserMessages,
     debugStats: {
       totalChars,
-      totalTokens: Math.max(totalTokens, Math.ceil(totalChars / CONFIG.CHARS_PER_TOKEN)),
-      messageCount
+      totalTokens: reportedTokens,
+      attachmentTokens,
+      messageCount,
+      contextWindow
     }
   };
 }
 
-function formatCount(value) {
-  if (value >= 1000000) {
-    return `${(value / 1000000).toFixed(2)}M`;
-  }
-  if (value >= 1000) {
-    return `${Math.round(value / 1000)}k`;
+/**
+ * Map a health value to its tier using the active cutoffs
+ */
+function getTier(health, scoring = getScoring()) {
+  if (health >= scoring.TIER_CUTOFFS.STABLE) return 'stable';
+  if (health >= scoring.TIER_CUTOFFS.DEGRADING) return 'degrading';
+  if (health >= scoring.TIER_CUTOFFS.UNRELIABLE) return 'unreliable';
+  return 'critical';
+}
+
+/**
+ * Explain which of the token/char/message penalties won the Math.max
+ */
+function describeLengthPenalty(info) {
+  const parts = [
+    `tokens ${formatCount(info.totalTokens)} = ${formatPoints(info.tokenPenalty)}`,
+    `chars ${formatCount(info.totalChars)} = ${formatPoints(info.charPenalty)}`,
+    `messages ${info.messageCount} = ${formatPoints(info.messagePenalty)}`
+  ];
+  if (info.lengthPenalty <= 0) {
+    return `Below all thresholds (${parts.join(', ')})`;
   }
-  return `${value}`;
+
+  const winners = [];
+  if (info.lengthPenalty === info.tokenPenalty) winners.push('tokens');
+  if (info.lengthPenalty === info.charPenalty) winners.push('chars');
+  if (info.lengthPenalty === info.messagePenalty) winners.push('messages');
+  const windowUsed = Math.round((info.windowUsedTokens / info.windowTokens) * 100);
+  return `Highest of ${parts.join(', ')}; ${winners.join(' / ')} counted ` +
+    `(${windowUsed}% of ${formatCount(info.windowTokens)} window)`;
 }
 
-function interpolatePenalty(points, value) {
+/**
+ * Tokens counted against the model's window, including attachments. The
+ * length breakdown, the panel and the popup all show this figure.
+ */
+function getWindowUsedTokens(debugStats) {
+  return debugStats.totalTokens + (debugStats.attachmentTokens || 0);
+}
+
+function formatPoints(value) {
+  return `${Math.round(value)}`;
+}
+
+function interpolatePenalty(points, value) {
   if (!points || points.length === 0) return 0;
   if (value <= points[0].chars) return points[0].penalty;
 
@@ -493,6 +2297,261 @@ function interpolatePenalty(points, value) {
   return points[points.length - 1].penalty;
 }
 
+// ============================================================================
+// HEALTH HISTORY
+// ============================================================================
+
+function loadHistoryStore() {
+  return storageGet(CONFIG.HISTORY_KEY, {});
+}
+
+/**
+ * Load the health timeline for the current conversation
+ */
+function loadHistory() {
+  const store = loadHistoryStore();
+  const entries = store[state.conversationId]?.entries;
+  state.history = Array.isArray(entries) ? entries : [];
+}
+
+function saveHistory() {
+  const conversationId = state.conversationId;
+  const entry = {
+    updatedAt: Date.now(),
+    entries: state.history
+  };
+  try {
+    storageUpdate(CONFIG.HISTORY_KEY, {}, (store) => {
+      store[conversationId] = entry;
+
+      // Keep only the most recently updated conversations
+      const ids = Object.keys(store);
+      if (ids.length > CONFIG.HISTORY_MAX_CONVERSATIONS) {
+        ids.sort((a, b) => (store[b].updatedAt || 0) - (store[a].updatedAt || 0));
+        ids.slice(CONFIG.HISTORY_MAX_CONVERSATIONS).forEach(id => delete store[id]);
+      }
+      return store;
+    });
+  } catch (e) {
+    console.error('Failed to save health history:', e);
+  }
+}
+
+/**
+ * Record one entry per turn. Re-scores of the same turn (pins, settings,
+ * late DOM updates) replace the last entry instead of appending.
+ */
+function recordHealthHistory(messages, healthData) {
+  if (state.conversationId === 'default') return;
+  if (messages.some(msg => msg.isDraft)) return;
+
+  const entry = {
+    health: healthData.health,
+    tier: healthData.tier,
+    tokens: healthData.debugStats.totalTokens,
+    messages: healthData.debugStats.messageCount,
+    timestamp: Date.now()
+  };
+
+  const last = state.history[state.history.length - 1];
+  if (last && last.messages === entry.messages) {
+    if (last.health === entry.health && last.tier === entry.tier && last.tokens === entry.tokens) return;
+    state.history[state.history.length - 1] = entry;
+  } else {
+    state.history.push(entry);
+    if (state.history.length > CONFIG.HISTORY_MAX_ENTRIES) {
+      state.history.splice(0, state.history.length - CONFIG.HISTORY_MAX_ENTRIES);
+    }
+  }
+  saveHistory();
+}
+
+/**
+ * Draw the health timeline as an SVG sparkline with tier-change and pin markers
+ */
+function renderHistorySparkline(container, history, messages) {
+  if (!container) return;
+  container.innerHTML = '';
+  if (!history || history.length < 2) {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = '';
+
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const width = 236;
+  const height = 44;
+  const padding = 4;
+  const xFor = index => padding + (index / (history.length - 1)) * (width - padding * 2);
+  const yFor = health => padding + (1 - health / 100) * (height - padding * 2);
+
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('class', 'health-orb-sparkline');
+
+  const scoring = getScoring();
+  [scoring.TIER_CUTOFFS.STABLE, scoring.TIER_CUTOFFS.DEGRADING, scoring.TIER_CUTOFFS.UNRELIABLE].forEach((cutoff) => {
+    const guide = document.createElementNS(svgNS, 'line');
+    guide.setAttribute('x1', String(padding));
+    guide.setAttribute('x2', String(width - padding));
+    guide.setAttribute('y1', String(yFor(cutoff)));
+    guide.setAttribute('y2', String(yFor(cutoff)));
+    guide.setAttribute('class', 'sparkline-guide');
+    svg.appendChild(guide);
+  });
+
+  const line = document.createElementNS(svgNS, 'polyline');
+  line.setAttribute('points', history.map((entry, i) => `${xFor(i)},${yFor(entry.health)}`).join(' '));
+  line.setAttribute('class', 'sparkline-line');
+  svg.appendChild(line);
+
+  // Pins: mark the first entry that includes the pinned message
+  const nonDraft = (messages || []).filter(msg => !msg.isDraft);
+  nonDraft.forEach((msg, msgIndex) => {
+    if (!state.pinnedMessageIds.has(msg.id)) return;
+    const entryIndex = history.findIndex(entry => entry.messages > msgIndex);
+    if (entryIndex === -1) return;
+    const pin = document.createElementNS(svgNS, 'line');
+    pin.setAttribute('x1', String(xFor(entryIndex)));
+    pin.setAttribute('x2', String(xFor(entryIndex)));
+    pin.setAttribute('y1', String(padding));
+    pin.setAttribute('y2', String(height - padding));
+    pin.setAttribute('class', 'sparkline-pin');
+    const title = document.createElementNS(svgNS, 'title');
+    title.textContent = `Pinned instruction (message ${msgIndex + 1})`;
+    pin.appendChild(title);
+    svg.appendChild(pin);
+  });
+
+  history.forEach((entry, i) => {
+    const isTierChange = i > 0 && history[i - 1].tier !== entry.tier;
+    const isLast = i === history.length - 1;
+    if (!isTierChange && !isLast) return;
+    const dot = document.createElementNS(svgNS, 'circle');
+    dot.setAttribute('cx', String(xFor(i)));
+    dot.setAttribute('cy', String(yFor(entry.health)));
+    dot.setAttribute('r', isTierChange ? '3' : '2');
+    dot.setAttribute('class', `sparkline-dot tier-${entry.tier}`);
+    const title = document.createElementNS(svgNS, 'title');
+    title.textContent = `${entry.messages} messages, ${formatCount(entry.tokens)} tokens: ${entry.health}% (${entry.tier})`;
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
+
+  container.appendChild(svg);
+}
+
+// ============================================================================
+// HEALTH PROJECTION
+// ============================================================================
+
+/**
+ * Typical reply size: the mean of recent finished assistant replies
+ */
+function getExpectedReplyTokens(messages) {
+  const replies = messages
+    .filter(msg => msg.role === 'assistant' && !msg.isStreaming)
+    .slice(-CONFIG.PROJECTION_RECENT_REPLIES);
+  if (replies.length === 0) return CONFIG.PROJECTION_DEFAULT_REPLY_TOKENS;
+  return Math.round(replies.reduce((sum, msg) => sum + msg.tokens, 0) / replies.length);
+}
+
+/**
+ * Score the conversation as it will look once the streaming reply
+ * finishes (at least a typical reply's length), or once the draft is
+ * sent and answered. The committed score already includes the draft, so
+ * only the reply is new. Returns null when nothing is in flight.
+ */
+function projectHealth(parsed) {
+  const expectedReply = getExpectedReplyTokens(parsed.messages);
+  const charsPerToken = 1 / state.tokensPerChar;
+  const projected = [];
+  let source = null;
+  let addedChars = 0;
+
+  parsed.messages.forEach((msg) => {
+    if (msg.isStreaming) {
+      source = 'streaming';
+      const tokens = Math.max(msg.tokens, expectedReply);
+      const charCount = Math.max(msg.charCount, Math.round(tokens * charsPerToken));
+      addedChars += charCount - msg.charCount;
+      projected.push({ ...msg, tokens, charCount });
+    } else if (msg.isDraft) {
+      source = source || 'draft';
+      const replyChars = Math.round(expectedReply * charsPerToken);
+      addedChars += replyChars;
+      projected.push({ ...msg, isDraft: false });
+      projected.push({
+        id: 'projected_reply',
+        role: 'assistant',
+        text: '',
+        charCount: replyChars,
+        tokens: expectedReply,
+        codeBlocks: []
+      });
+    } else {
+      projected.push({ ...msg });
+    }
+  });
+  if (!source) return null;
+
+  let cumulativeTokens = 0;
+  projected.forEach((msg) => {
+    msg.tokenStart = cumulativeTokens;
+    msg.tokenEnd = cumulativeTokens + msg.tokens;
+    cumulativeTokens = msg.tokenEnd;
+  });
+
+  const totalChars = Math.max(parsed.totalCharsFromMessages, parsed.visibleChars) + addedChars;
+  const healthData = calculateHealth(projected, cumulativeTokens, detectInstructions(projected),
+    totalChars, parsed.contextWindow, parsed.attachments);
+
+  return {
+    health: healthData.health,
+    tier: healthData.tier,
+    source,
+    totalTokens: cumulativeTokens,
+    expectedReply
+  };
+}
+
+/**
+ * Draw the projected loss as a ring segment on the orb (from the projected
+ * score up to the committed one) and describe it in the panel
+ */
+function renderProjection(projection) {
+  state.projection = projection;
+  const hud = document.getElementById('claude-health-bar-hud');
+  if (!hud) return;
+  const ring = hud.querySelector('.health-orb-projection');
+  const line = hud.querySelector('.health-orb-projection-line');
+  const current = state.currentHealth;
+
+  if (!projection || projection.health >= current) {
+    ring.style.display = 'none';
+    if (projection) {
+      line.textContent = `Projected: ${projection.health}% ${describeProjectionSource(projection)}`;
+      line.style.display = '';
+    } else {
+      line.style.display = 'none';
+    }
+    return;
+  }
+
+  ring.className = `health-orb-projection tier-${projection.tier}`;
+  ring.style.setProperty('--projection-from', `${projection.health}%`);
+  ring.style.setProperty('--projection-to', `${current}%`);
+  ring.style.display = '';
+  line.textContent = `Projected: ${projection.health}% (${projection.tier}) ${describeProjectionSource(projection)}`;
+  line.style.display = '';
+}
+
+function describeProjectionSource(projection) {
+  return projection.source === 'streaming'
+    ? `when this reply finishes (~${formatCount(projection.expectedReply)}+ tokens)`
+    : `after sending your draft and a typical reply (~${formatCount(projection.expectedReply)} tokens)`;
+}
+
 // ============================================================================
 // HUD RENDERING
 // ============================================================================
@@ -514,6 +2573,14 @@ function renderHUD(healthData) {
     animateTierChange(hud);
     state.lastTier = healthData.tier;
   }
+
+  checkHealthAlert(healthData);
+}
+
+function renderSettingOptions(key) {
+  return SETTING_OPTIONS[key]
+    .map(option => `<option value="${option.value}">${option.label}</option>`)
+    .join('');
 }
 
 /**
@@ -525,33 +2592,112 @@ function createHUD() {
   hud.className = 'health-orb';
 
   hud.innerHTML = `
+    <div class="health-orb-projection"></div>
     <div class="health-orb-value"></div>
     <div class="health-orb-panel">
       <div class="health-orb-title">Context Health</div>
+      <div class="health-orb-lineage"></div>
       <div class="health-orb-stats"></div>
+      <div class="health-orb-projection-line"></div>
+      <div class="health-orb-window"></div>
+      <div class="health-orb-attachments"></div>
+      <ul class="health-orb-breakdown"></ul>
+      <ul class="health-orb-conflicts"></ul>
+      <ul class="health-orb-topics"></ul>
+      <div class="health-orb-history"></div>
+      <div class="health-orb-handoff-size"></div>
       <div class="health-bar-actions">
         <button class="health-bar-refresh" type="button">Refresh Context</button>
         <button class="health-bar-copy" type="button">Copy Handoff</button>
+        <button class="health-bar-export" type="button">Export</button>
+        <button class="health-bar-reinforce" type="button">Reinforce</button>
       </div>
       <div class="health-bar-settings">
         <label class="health-bar-setting">
           <input type="checkbox" data-setting="autoLoadHistory">
           Auto-load history
         </label>
+        <label class="health-bar-setting">
+          <input type="checkbox" data-setting="showHeatmap">
+          Token heatmap
+        </label>
+        <label class="health-bar-setting">
+          Alert when
+          <select data-setting="alertThreshold">
+            ${renderSettingOptions('alertThreshold')}
+          </select>
+        </label>
+        <label class="health-bar-setting">
+          Alert style
+          <select data-setting="alertStyle">
+            ${renderSettingOptions('alertStyle')}
+          </select>
+        </label>
+        <label class="health-bar-setting">
+          <input type="checkbox" data-setting="alertSound">
+          Alert sound
+        </label>
+        <label class="health-bar-setting">
+          <input type="checkbox" data-setting="carryPins">
+          Carry pins into handoff chats
+        </label>
+        <label class="health-bar-setting">
+          <input type="checkbox" data-setting="syncStorage">
+          Sync settings &amp; pins
+        </label>
         <label class="health-bar-setting">
           Handoff detail
           <select data-setting="handoffRichness">
-            <option value="compact">Compact</option>
-            <option value="standard">Standard</option>
-            <option value="rich">Rich</option>
+            ${renderSettingOptions('handoffRichness')}
+          </select>
+        </label>
+        <label class="health-bar-setting health-bar-budget-setting">
+          Handoff budget (tokens)
+          <input type="number" min="200" step="100" data-setting="handoffBudgetTokens">
+        </label>
+        <div class="health-bar-setting">
+          Handoffs
+          <button class="health-bar-open-inbox" type="button">Inbox</button>
+        </div>
+        <div class="health-bar-setting">
+          Handoff template
+          <span class="health-bar-setting-group">
+            <select data-setting="handoffTemplate"></select>
+            <button class="health-bar-open-templates" type="button">Edit</button>
+          </span>
+        </div>
+        <label class="health-bar-setting">
+          Export format
+          <select data-setting="exportFormat">
+            ${renderSettingOptions('exportFormat')}
+          </select>
+        </label>
+        <label class="health-bar-setting">
+          Token estimator
+          <select data-setting="tokenizer">
+            ${renderSettingOptions('tokenizer')}
+          </select>
+        </label>
+        <label class="health-bar-setting">
+          Model window
+          <select data-setting="modelOverride">
+            ${renderSettingOptions('modelOverride')}
           </select>
         </label>
+        <div class="health-bar-setting">
+          Scoring
+          <button class="health-bar-open-scoring" type="button">Edit profile</button>
+        </div>
       </div>
     </div>
   `;
 
   document.body.appendChild(hud);
+  refreshTemplateSelect(hud);
   initSettingsUI(hud);
+  hud.querySelector('.health-bar-open-templates').addEventListener('click', openTemplateEditor);
+  hud.querySelector('.health-bar-open-inbox').addEventListener('click', openHandoffInbox);
+  hud.querySelector('.health-bar-open-scoring').addEventListener('click', openScoringEditor);
   return hud;
 }
 
@@ -563,9 +2709,13 @@ function updateHUD(hud, healthData) {
   const stats = hud.querySelector('.health-orb-stats');
   const refreshButton = hud.querySelector('.health-bar-refresh');
   const copyButton = hud.querySelector('.health-bar-copy');
+  const exportButton = hud.querySelector('.health-bar-export');
+  const reinforceButton = hud.querySelector('.health-bar-reinforce');
 
   // Update orb color
   hud.className = `health-orb tier-${healthData.tier}`;
+  hud.classList.toggle('health-orb-open', state.panelOpen);
+  hud.style.display = state.orbHidden ? 'none' : '';
 
   // Update percentage
   percentage.textContent = `${healthData.health}%`;
@@ -578,10 +2728,23 @@ function updateHUD(hud, healthData) {
     stats.textContent = '';
   }
 
+  renderContextWindow(hud.querySelector('.health-orb-window'), healthData.debugStats);
+  renderAttachments(hud.querySelector('.health-orb-attachments'), state.attachments);
+
+  renderBreakdown(hud.querySelector('.health-orb-breakdown'), healthData.breakdown);
+  renderConflicts(hud.querySelector('.health-orb-conflicts'), healthData.conflicts);
+  renderTopics(hud.querySelector('.health-orb-topics'), healthData.topics);
+  renderHistorySparkline(hud.querySelector('.health-orb-history'), state.history, state.messages);
+  renderHandoffSize(hud, healthData.hasUserMessages);
+  renderLineage(hud.querySelector('.health-orb-lineage'));
+
   state.currentHealth = healthData.health;
-  const canRefresh = healthData.hasUserMessages && healthData.health <= CONFIG.HANDOFF_THRESHOLD;
+  const canRefresh = healthData.hasUserMessages && healthData.health <= getScoring().HANDOFF_THRESHOLD;
   refreshButton.style.display = canRefresh ? 'inline-block' : 'none';
   copyButton.style.display = healthData.hasUserMessages ? 'inline-block' : 'none';
+  exportButton.style.display = healthData.hasUserMessages ? 'inline-block' : 'none';
+  const canReinforce = state.instructions.some(instruction => instruction.source !== 'reinforced');
+  reinforceButton.style.display = canReinforce ? 'inline-block' : 'none';
   if (!refreshButton.dataset.bound) {
     refreshButton.addEventListener('click', () => {
       startHandoff();
@@ -594,6 +2757,221 @@ function updateHUD(hud, healthData) {
     });
     copyButton.dataset.bound = 'true';
   }
+  if (!exportButton.dataset.bound) {
+    exportButton.addEventListener('click', () => {
+      exportConversation(state.settings?.exportFormat);
+    });
+    exportButton.dataset.bound = 'true';
+  }
+  if (!reinforceButton.dataset.bound) {
+    reinforceButton.addEventListener('click', () => {
+      reinforceInstructions(reinforceButton);
+    });
+    reinforceButton.dataset.bound = 'true';
+  }
+}
+
+/**
+ * Show the model, its window size and how much of it is used
+ */
+function renderContextWindow(element, debugStats) {
+  if (!element) return;
+  const contextWindow = debugStats?.contextWindow;
+  if (!contextWindow) {
+    element.textContent = '';
+    return;
+  }
+  const used = Math.min(999, Math.round((getWindowUsedTokens(debugStats) / contextWindow.tokens) * 100));
+  const sourceNote = contextWindow.source === 'override' ? ' (manual)' :
+    contextWindow.source === 'default' ? ' (assumed)' : '';
+  const estimator = debugStats.tokenizer ? ` | Estimator: ${debugStats.tokenizer.label}` : '';
+  element.textContent = `${contextWindow.label}${sourceNote} | ${formatCount(contextWindow.tokens)} window | ` +
+    `${used}% of window used${estimator}`;
+}
+
+function renderAttachments(element, attachments) {
+  if (!element) return;
+  if (!attachments || attachments.items.length === 0) {
+    element.style.display = 'none';
+    return;
+  }
+  element.style.display = '';
+  element.textContent = `Attachments: ${describeAttachments(attachments)} | ~${formatCount(attachments.tokens)} tokens`;
+  element.title = attachments.items
+    .map(item => `${item.kind}: ${clipText(item.label, 80)} ~${formatCount(item.tokens)}${item.estimated ? ' (estimated)' : ''}`)
+    .join('\n');
+}
+
+/**
+ * Render the per-factor penalty breakdown into the hover panel
+ */
+function renderBreakdown(list, breakdown) {
+  if (!list) return;
+  list.innerHTML = '';
+  if (!breakdown || breakdown.length === 0) {
+    list.style.display = 'none';
+    return;
+  }
+  list.style.display = '';
+
+  breakdown.forEach((item) => {
+    const row = document.createElement('li');
+    row.className = `health-orb-factor factor-${item.factor}`;
+    if (item.points <= 0) {
+      row.classList.add('is-zero');
+    }
+
+    const head = document.createElement('div');
+    head.className = 'health-orb-factor-head';
+    const label = document.createElement('span');
+    label.textContent = item.label;
+    const points = document.createElement('span');
+    points.className = 'health-orb-factor-points';
+    points.textContent = item.points > 0 ? `-${formatPoints(item.points)}` : '0';
+    head.appendChild(label);
+    head.appendChild(points);
+
+    const detail = document.createElement('div');
+    detail.className = 'health-orb-factor-detail';
+    detail.textContent = item.detail;
+
+    row.appendChild(head);
+    row.appendChild(detail);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Live preview of the handoff packet size; shows the budget field only in budget mode
+ */
+function renderHandoffSize(hud, hasUserMessages) {
+  const element = hud.querySelector('.health-orb-handoff-size');
+  const budgetSetting = hud.querySelector('.health-bar-budget-setting');
+  const budgetMode = state.settings?.handoffRichness === 'budget';
+  if (budgetSetting) budgetSetting.style.display = budgetMode ? '' : 'none';
+  if (!element) return;
+  if (!hasUserMessages || !state.messages || state.messages.length === 0) {
+    element.textContent = '';
+    return;
+  }
+  const tokens = getHandoffPacketTokens();
+  element.textContent = budgetMode
+    ? `Handoff packet: ~${formatCount(tokens)} / ${formatCount(getHandoffBudget())} tokens`
+    : `Handoff packet: ~${formatCount(tokens)} tokens`;
+}
+
+/**
+ * Packet size for the panel. Building the packet walks the whole thread,
+ * so it is redone only when the messages, pins, health or handoff settings change.
+ */
+function getHandoffPacketTokens() {
+  const template = getActiveHandoffTemplate();
+  const key = [
+    state.messages.map(msg => msg.id).join(','),
+    Array.from(state.pinnedMessageIds).join(','),
+    state.lastHealthData?.health,
+    state.settings?.handoffRichness,
+    getTokenizer().id,
+    getHandoffBudget(),
+    template.body
+  ].join('|');
+  if (state.handoffSize.key !== key) {
+    state.handoffSize = { key, tokens: countTokens(buildHandoffPacket(state.messages)) };
+  }
+  return state.handoffSize.tokens;
+}
+
+/**
+ * List conflicting instruction pairs with jump-to links
+ */
+function renderConflicts(list, conflicts) {
+  if (!list) return;
+  list.innerHTML = '';
+  if (!conflicts || conflicts.length === 0) {
+    list.style.display = 'none';
+    return;
+  }
+  list.style.display = '';
+
+  conflicts.forEach((conflict) => {
+    const row = document.createElement('li');
+    row.className = conflict.superseded ? 'health-orb-conflict health-orb-conflict-superseded' : 'health-orb-conflict';
+
+    const topic = document.createElement('div');
+    topic.className = 'health-orb-conflict-topic';
+    topic.textContent = `${conflict.superseded ? 'Superseded' : 'Conflict'}: ${conflict.topic} ` +
+      `(${conflict.first.stance} vs ${conflict.second.stance})`;
+    row.appendChild(topic);
+
+    [conflict.first, conflict.second].forEach((side) => {
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'health-orb-jump';
+      link.textContent = `#${side.index + 1}: ${side.text}`;
+      link.title = 'Jump to message';
+      link.addEventListener('click', () => jumpToMessage(side.index));
+      row.appendChild(link);
+    });
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * List topic segments with jump links and a "split here" handoff per boundary
+ */
+function renderTopics(list, topics) {
+  if (!list) return;
+  list.innerHTML = '';
+  if (!topics || topics.segments.length < 2) {
+    list.style.display = 'none';
+    return;
+  }
+  list.style.display = '';
+
+  const heading = document.createElement('li');
+  heading.className = 'health-orb-topics-heading';
+  heading.textContent = `Topics (${topics.distinctCount} distinct)`;
+  list.appendChild(heading);
+
+  topics.segments.forEach((segment, i) => {
+    const row = document.createElement('li');
+    row.className = 'health-orb-topic';
+    row.classList.toggle('is-revisit', !segment.distinct);
+
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'health-orb-jump';
+    link.textContent = `#${segment.start + 1}-${segment.end + 1}: ${segment.label}`;
+    link.title = segment.distinct ? 'Jump to message' : 'Returns to an earlier topic - jump to message';
+    link.addEventListener('click', () => jumpToMessage(segment.start));
+    row.appendChild(link);
+
+    if (i > 0) {
+      const split = document.createElement('button');
+      split.type = 'button';
+      split.className = 'health-orb-topic-split';
+      split.textContent = 'Split here';
+      split.title = 'Hand off from this message, keeping earlier pins';
+      split.addEventListener('click', () => startHandoff(segment.start));
+      row.appendChild(split);
+    }
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Scroll a parsed message into view and flash it
+ */
+function jumpToMessage(index) {
+  const msg = state.messages[index];
+  if (!msg || !msg.element || !msg.element.isConnected) return;
+  msg.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  msg.element.classList.add('health-bar-flash');
+  setTimeout(() => {
+    msg.element.classList.remove('health-bar-flash');
+  }, 1500);
 }
 
 /**
@@ -606,6 +2984,251 @@ function animateTierChange(hud) {
   }, 500);
 }
 
+// ============================================================================
+// TOKEN HEATMAP
+// ============================================================================
+
+/**
+ * Draw a gutter next to each message colored by its share of the context,
+ * and badge messages over the long-reply threshold as heavy
+ */
+function renderHeatmap(messages, totalTokens) {
+  if (!state.settings?.showHeatmap) {
+    clearHeatmap();
+    return;
+  }
+
+  const parsed = messages.filter(msg => !msg.isDraft && msg.element);
+  const maxTokens = parsed.reduce((max, msg) => Math.max(max, msg.tokens), 0);
+  const heavyThreshold = getScoring().LONG_MESSAGE_THRESHOLD;
+
+  parsed.forEach((msg) => {
+    const element = msg.element;
+    let gutter = element.querySelector(':scope > .health-bar-heat');
+    if (!gutter) {
+      gutter = document.createElement('div');
+      gutter.className = 'health-bar-heat';
+      gutter.dataset.healthbarUi = 'true';
+      if (getComputedStyle(element).position === 'static') {
+        element.style.position = 'relative';
+      }
+      element.appendChild(gutter);
+    }
+
+    const share = totalTokens > 0 ? msg.tokens / totalTokens : 0;
+    const intensity = maxTokens > 0 ? msg.tokens / maxTokens : 0;
+    const hue = Math.round(120 * (1 - intensity));
+    gutter.style.background = `hsl(${hue}, 80%, 50%)`;
+    gutter.style.opacity = String(0.35 + intensity * 0.65);
+    gutter.title = `${(share * 100).toFixed(1)}% of context | ${formatCount(msg.tokens)} tokens ` +
+      `(${formatCount(msg.tokenStart)}-${formatCount(msg.tokenEnd)})`;
+
+    const isHeavy = msg.charCount > heavyThreshold;
+    setMessageBadge(element, 'heavy', 'heavy',
+      isHeavy ? `${formatCount(msg.charCount)} chars (over ${formatCount(heavyThreshold)})` : null);
+  });
+}
+
+function clearHeatmap() {
+  document.querySelectorAll('.health-bar-heat').forEach(el => el.remove());
+  document.querySelectorAll('.health-bar-badge-heavy').forEach(el => removeMessageBadge(el));
+}
+
+/**
+ * Add, update or remove (title = null) a labelled badge on a message.
+ * Badges share one container so several kinds can stack.
+ */
+function setMessageBadge(element, kind, label, title) {
+  let container = element.querySelector(':scope > .health-bar-badges');
+  let badge = container ? container.querySelector(`.health-bar-badge-${kind}`) : null;
+
+  if (!title) {
+    if (badge) removeMessageBadge(badge);
+    return;
+  }
+
+  if (!container) {
+    container = document.createElement('div');
+    container.className = 'health-bar-badges';
+    container.dataset.healthbarUi = 'true';
+    if (getComputedStyle(element).position === 'static') {
+      element.style.position = 'relative';
+    }
+    element.appendChild(container);
+  }
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = `health-bar-badge health-bar-badge-${kind}`;
+    container.appendChild(badge);
+  }
+  if (badge.textContent !== label) badge.textContent = label;
+  if (badge.title !== title) badge.title = title;
+}
+
+function removeMessageBadge(badge) {
+  const container = badge.parentElement;
+  badge.remove();
+  if (container && container.children.length === 0) {
+    container.remove();
+  }
+}
+
+// ============================================================================
+// THRESHOLD ALERTS
+// ============================================================================
+
+/**
+ * Health at or below which the chosen alert fires (null when off)
+ */
+function getAlertCutoff(threshold) {
+  const scoring = getScoring();
+  switch (threshold) {
+    case 'degrading': return scoring.TIER_CUTOFFS.STABLE - 1;
+    case 'unreliable': return scoring.TIER_CUTOFFS.DEGRADING - 1;
+    case 'critical': return scoring.TIER_CUTOFFS.UNRELIABLE - 1;
+    case 'handoff': return scoring.HANDOFF_THRESHOLD;
+    default: return null;
+  }
+}
+
+function loadSnoozes() {
+  return storageGet(CONFIG.SNOOZE_KEY, {});
+}
+
+function isAlertSnoozed() {
+  const until = loadSnoozes()[state.conversationId];
+  return Boolean(until && until > Date.now());
+}
+
+function snoozeAlerts() {
+  const conversationId = state.conversationId;
+  const now = Date.now();
+  try {
+    storageUpdate(CONFIG.SNOOZE_KEY, {}, (snoozes) => {
+      Object.keys(snoozes).forEach((id) => {
+        if (snoozes[id] <= now) delete snoozes[id];
+      });
+      snoozes[conversationId] = now + CONFIG.ALERT_SNOOZE_MS;
+      return snoozes;
+    });
+  } catch (e) {
+    console.error('Failed to save alert snooze:', e);
+  }
+  hideHealthAlert();
+}
+
+/**
+ * Fire once when health crosses the chosen threshold; re-arm when it recovers.
+ * Only armed after health was seen above the threshold in this session, so
+ * opening an already-degraded chat doesn't raise the alert straight away.
+ */
+function checkHealthAlert(healthData) {
+  const cutoff = getAlertCutoff(state.settings?.alertThreshold);
+  if (cutoff === null || !healthData.hasUserMessages) {
+    hideHealthAlert();
+    return;
+  }
+
+  if (healthData.health > cutoff) {
+    state.alertArmed = true;
+    hideHealthAlert();
+    return;
+  }
+
+  if (!state.alertArmed || isAlertSnoozed()) return;
+  state.alertArmed = false;
+  showHealthAlert(healthData);
+}
+
+function showHealthAlert(healthData) {
+  hideHealthAlert();
+  const style = state.settings?.alertStyle === 'toast' ? 'toast' : 'banner';
+  const alert = document.createElement('div');
+  alert.id = 'claude-health-bar-alert';
+  alert.className = `health-bar-alert health-bar-alert-${style} tier-${healthData.tier}`;
+
+  const message = document.createElement('span');
+  message.className = 'health-bar-alert-message';
+  message.textContent = `Context health dropped to ${healthData.health}% (${healthData.tier})`;
+  alert.appendChild(message);
+
+  const actions = document.createElement('div');
+  actions.className = 'health-bar-alert-actions';
+  const addAction = (label, handler) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', handler);
+    actions.appendChild(button);
+  };
+  if (style === 'banner') {
+    addAction('Refresh Context', () => {
+      hideHealthAlert();
+      startHandoff();
+    });
+    if (state.instructions.some(instruction => instruction.source !== 'reinforced')) {
+      addAction('Reinforce', () => {
+        hideHealthAlert();
+        reinforceInstructions();
+      });
+    }
+  }
+  addAction(style === 'banner' ? 'Dismiss' : 'Snooze', snoozeAlerts);
+  alert.appendChild(actions);
+
+  document.body.appendChild(alert);
+  if (style === 'toast') {
+    positionToast(alert);
+    state.alertTimer = setTimeout(hideHealthAlert, CONFIG.ALERT_TOAST_MS);
+  }
+  if (state.settings?.alertSound) {
+    playAlertSound();
+  }
+}
+
+function hideHealthAlert() {
+  if (state.alertTimer) {
+    clearTimeout(state.alertTimer);
+    state.alertTimer = null;
+  }
+  const existing = document.getElementById('claude-health-bar-alert');
+  if (existing) existing.remove();
+}
+
+/**
+ * Anchor the toast just above the composer (bottom-right if not found)
+ */
+function positionToast(toast) {
+  const input = document.querySelector('[contenteditable="true"]') ||
+                document.querySelector('textarea[placeholder*="Reply"]');
+  if (!input) return;
+  const rect = input.getBoundingClientRect();
+  toast.style.left = `${Math.max(12, rect.left)}px`;
+  toast.style.right = 'auto';
+  toast.style.bottom = `${Math.max(12, window.innerHeight - rect.top + 12)}px`;
+}
+
+function playAlertSound() {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    const context = new AudioCtx();
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = 660;
+    gain.gain.setValueAtTime(0.08, context.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.0001, context.currentTime + 0.25);
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start();
+    oscillator.stop(context.currentTime + 0.25);
+    oscillator.onended = () => context.close();
+  } catch (e) {
+    // Autoplay restrictions can block audio before any user gesture
+  }
+}
+
 // ============================================================================
 // PIN MANAGEMENT
 // ============================================================================
@@ -659,26 +3282,34 @@ function togglePin(messageId) {
 }
 
 /**
- * Save pinned messages to localStorage
+ * Save pinned messages. The conversation is re-inserted last so key order
+ * tracks recency (sync keeps only the most recent ones).
  */
 function savePinsToStorage() {
+  const conversationId = state.conversationId;
+  const entry = { ids: Array.from(state.pinnedMessageIds), updatedAt: Date.now() };
   try {
-    const data = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '{}');
-    data[state.conversationId] = Array.from(state.pinnedMessageIds);
-    localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(data));
+    storageUpdate(CONFIG.STORAGE_KEY, {}, (data) => {
+      data[conversationId] = entry;
+      Object.keys(data).forEach((id) => {
+        if (getPinnedIds(data[id]).length === 0 && entry.updatedAt - getPinUpdatedAt(data[id]) > CONFIG.PIN_TOMBSTONE_MS) {
+          delete data[id];
+        }
+      });
+      return data;
+    });
   } catch (e) {
     console.error('Failed to save pins:', e);
   }
 }
 
 /**
- * Load pinned messages from localStorage
+ * Load pinned messages for the current conversation
  */
 function loadPinsFromStorage() {
   try {
-    const data = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '{}');
-    const pins = data[state.conversationId] || [];
-    state.pinnedMessageIds = new Set(pins);
+    const data = storageGet(CONFIG.STORAGE_KEY, {});
+    state.pinnedMessageIds = new Set(getPinnedIds(data[state.conversationId]));
   } catch (e) {
     console.error('Failed to load pins:', e);
     state.pinnedMessageIds = new Set();
@@ -699,61 +3330,320 @@ function clipText(text, maxChars) {
   return `${normalized.slice(0, maxChars - 3)}...`;
 }
 
-function buildHandoffPacket(messages) {
-  const fullMessages = messages.filter(msg => !msg.isDraft);
-  const userMessages = fullMessages.filter(msg => msg.role === 'user');
-  const pinnedMessages = fullMessages.filter(msg => state.pinnedMessageIds.has(msg.id));
-  const limits = getHandoffLimits(state.settings);
-  const recentMessages = fullMessages.slice(-limits.maxRecent);
-  const recentIds = new Set(recentMessages.map(msg => msg.id));
-
-  const lines = [];
-  lines.push('# Context handoff from previous chat');
-  lines.push('');
+const FILENAME_PATTERN = /([\w@./-]+\.(?:js|jsx|mjs|cjs|ts|tsx|py|rb|go|rs|java|kt|swift|c|cc|cpp|h|hpp|cs|php|html|css|scss|json|ya?ml|toml|md|sh|sql|vue|svelte))\b/g;
 
-  const firstUser = userMessages[0];
-  if (firstUser) {
-    lines.push('## Original request:');
-    lines.push(clipText(firstUser.text, limits.maxChars));
+/**
+ * Split a message into prose and code segments. Code comes from ``` fences
+ * typed in the text and from rendered <pre> blocks found during parsing.
+ * Returns [{ type: 'text', text } | { type: 'code', language, code, filename }]
+ */
+function splitCodeSegments(msg) {
+  const text = msg.text;
+  const spans = [];
+
+  const fencePattern = /```([\w+#-]*)[^\n]*\n([\s\S]*?)```/g;
+  let match;
+  while ((match = fencePattern.exec(text)) !== null) {
+    spans.push({ start: match.index, end: fencePattern.lastIndex, language: match[1], code: match[2] });
   }
 
-  if (pinnedMessages.length > 0) {
-    lines.push('');
-    lines.push('### Pinned instructions:');
-    pinnedMessages.slice(0, limits.maxPinned).forEach(msg => {
-      lines.push(`- **User:** ${clipText(msg.text, limits.maxChars)}`);
+  let cursor = 0;
+  (msg.codeBlocks || []).forEach((block) => {
+    const start = text.indexOf(block.code, cursor);
+    if (start === -1) return;
+    const end = start + block.code.length;
+    cursor = end;
+    if (spans.some(span => start < span.end && end > span.start)) return;
+    spans.push({ start, end, language: block.language, code: block.code });
+  });
+
+  spans.sort((a, b) => a.start - b.start);
+  const segments = [];
+  let position = 0;
+  spans.forEach((span) => {
+    const prose = text.slice(position, span.start);
+    if (prose.trim()) segments.push({ type: 'text', text: prose });
+    segments.push({
+      type: 'code',
+      language: span.language,
+      code: span.code.replace(/^\n+|\s+$/g, ''),
+      filename: detectFilename(prose, span.code)
     });
+    position = span.end;
+  });
+  const tail = text.slice(position);
+  if (tail.trim()) segments.push({ type: 'text', text: tail });
+  return segments;
+}
+
+/**
+ * Guess a filename from a leading comment in the code or the prose just before it
+ */
+function detectFilename(precedingText, code) {
+  const firstLine = code.split('\n').find(line => line.trim()) || '';
+  const commentMatch = firstLine.match(/^\s*(?:\/\/|#|<!--|\/\*|--)\s*([\w@./-]+\.\w+)/);
+  if (commentMatch) return commentMatch[1];
+  const nearby = precedingText.slice(-160);
+  const matches = nearby.match(FILENAME_PATTERN);
+  return matches ? matches[matches.length - 1] : '';
+}
+
+/**
+ * Trim code by whole lines, keeping the head and tail around an elision marker
+ */
+function trimCodeLines(code, maxLines) {
+  const lines = code.split('\n');
+  if (lines.length <= maxLines) return code;
+  const keep = Math.max(2, maxLines);
+  const head = Math.ceil(keep * 0.6);
+  const tail = keep - head;
+  const omitted = lines.length - keep;
+  return lines.slice(0, head)
+    .concat([`... [${omitted} lines omitted] ...`])
+    .concat(tail > 0 ? lines.slice(-tail) : [])
+    .join('\n');
+}
+
+function formatCodeFence(language, code) {
+  return `\n\`\`\`${language || ''}\n${code}\n\`\`\`\n`;
+}
+
+/**
+ * Message text for handoffs: prose is collapsed and clipped to maxChars,
+ * code blocks keep their formatting and are trimmed by lines. Code that the
+ * packet already carries under Artifacts (artifactNames: key -> name) is
+ * replaced by a pointer to it.
+ */
+function formatHandoffText(msg, maxChars, maxCodeLines = CONFIG.HANDOFF_MAX_CODE_LINES, artifactNames = null) {
+  const segments = splitCodeSegments(msg);
+  if (!segments.some(segment => segment.type === 'code')) {
+    return clipText(msg.text, maxChars);
   }
 
-  const salientMessages = getSalientMessages(fullMessages, recentIds, limits.maxSalience);
-  if (salientMessages.length > 0) {
-    lines.push('');
-    lines.push('### Key highlights:');
-    salientMessages.forEach(msg => {
-      const roleLabel = msg.role === 'user' ? 'User' : 'Assistant';
-      lines.push(`- **${roleLabel}:** ${clipText(msg.text, limits.maxChars)}`);
+  let proseLeft = maxChars;
+  let result = '';
+  segments.forEach((segment) => {
+    if (segment.type === 'code') {
+      const artifactName = artifactNames?.get(getArtifactKey(segment));
+      result = artifactName
+        ? `${result.trimEnd()}\n[code: ${artifactName}, latest version under Artifacts]\n`
+        : result.trimEnd() + formatCodeFence(segment.language, trimCodeLines(segment.code, maxCodeLines));
+      return;
+    }
+    if (proseLeft <= 0) return;
+    const clipped = clipText(segment.text, proseLeft);
+    proseLeft -= clipped.length;
+    result += (result && !result.endsWith('\n') ? ' ' : '') + clipped;
+  });
+  return result.trim();
+}
+
+/**
+ * Code blocks are keyed by filename when one is found, otherwise by
+ * language and first line
+ */
+function getArtifactKey(segment) {
+  const firstLine = normalizeText(segment.code.split('\n').find(line => line.trim()) || '');
+  return segment.filename || `${segment.language}:${firstLine}`;
+}
+
+/**
+ * Latest version of each file or snippet discussed.
+ * Returns [{ key, name, language, code }] oldest first
+ */
+function collectArtifacts(messages, maxLines = CONFIG.HANDOFF_MAX_ARTIFACT_LINES, maxCount = CONFIG.HANDOFF_MAX_ARTIFACTS) {
+  const artifacts = new Map();
+  messages.forEach((msg, index) => {
+    splitCodeSegments(msg).forEach((segment) => {
+      if (segment.type !== 'code') return;
+      if (segment.code.split('\n').length < CONFIG.HANDOFF_MIN_ARTIFACT_LINES) return;
+      const key = getArtifactKey(segment);
+      const name = segment.filename || `${segment.language || 'code'} snippet (message ${index + 1})`;
+      // Delete first so the latest version moves to the end
+      artifacts.delete(key);
+      artifacts.set(key, { key, name, language: segment.language, code: trimCodeLines(segment.code, maxLines) });
     });
-  }
+  });
+  return maxCount > 0 ? Array.from(artifacts.values()).slice(-maxCount) : [];
+}
 
+function getArtifactNames(artifacts) {
+  return new Map(artifacts.map(artifact => [artifact.key, artifact.name]));
+}
+
+/**
+ * Gather the values handoff templates can reference
+ */
+function buildHandoffContext(messages) {
+  const fullMessages = messages.filter(msg => !msg.isDraft);
+  const healthData = state.lastHealthData;
+  const tokenCount = healthData ? healthData.debugStats.totalTokens : fullMessages.reduce((sum, msg) => sum + msg.tokens, 0);
+  const healthText = healthData ? `, health ${healthData.health}% (${healthData.tier})` : '';
+  const details = {
+    stats: `${fullMessages.length} messages, ~${formatCount(tokenCount)} tokens${healthText}`,
+    health: healthData ? healthData.health : '',
+    tier: healthData ? healthData.tier : '',
+    message_count: fullMessages.length,
+    token_count: formatCount(tokenCount),
+    conversation_id: state.conversationId,
+    date: new Date().toISOString().slice(0, 10)
+  };
+
+  // The budget covers the whole packet, so leave room for the details too
+  const sections = state.settings?.handoffRichness === 'budget'
+    ? packHandoffByBudget(fullMessages, getHandoffBudget() - countTokens(Object.values(details).join(' ')),
+      getActiveHandoffTemplate().body)
+    : packHandoffByLimits(fullMessages, getHandoffLimits(state.settings));
+
+  return { ...sections, ...details };
+}
+
+function toHandoffItem(msg, limits, artifactNames) {
+  return {
+    role: msg.role === 'user' ? 'User' : 'Assistant',
+    text: formatHandoffText(msg, limits.maxChars, limits.maxCodeLines, artifactNames)
+  };
+}
+
+/**
+ * Fixed per-section counts and per-message char caps (compact/standard/rich)
+ */
+function packHandoffByLimits(fullMessages, limits) {
+  const userMessages = fullMessages.filter(msg => msg.role === 'user');
+  const pinnedMessages = fullMessages.filter(msg => state.pinnedMessageIds.has(msg.id));
+  const recentMessages = fullMessages.slice(-limits.maxRecent);
+  const recentIds = new Set(recentMessages.map(msg => msg.id));
+  const salientMessages = getSalientMessages(fullMessages, recentIds, limits.maxSalience);
+  const firstUser = userMessages[0];
+  const lastUser = userMessages[userMessages.length - 1];
+  const artifacts = collectArtifacts(fullMessages, limits.maxArtifactLines, limits.maxArtifacts);
+  const artifactNames = getArtifactNames(artifacts);
+  const format = msg => formatHandoffText(msg, limits.maxChars, limits.maxCodeLines, artifactNames);
+
+  return {
+    original_request: firstUser ? format(firstUser) : '',
+    pinned: pinnedMessages.slice(0, limits.maxPinned).map(msg => toHandoffItem(msg, limits, artifactNames)),
+    salient: salientMessages.map(msg => toHandoffItem(msg, limits, artifactNames)),
+    focus: lastUser ? format(lastUser) : '',
+    recent: recentMessages.map(msg => toHandoffItem(msg, limits, artifactNames)),
+    artifacts
+  };
+}
+
+/**
+ * Fill a token budget by priority: pinned > current focus > salient >
+ * recent. The original request and artifacts come last, from a share of
+ * the budget held back for them plus anything left over. Items that don't
+ * fit are clipped to what is left, then packing stops.
+ */
+function packHandoffByBudget(fullMessages, budgetTokens, templateBody) {
+  const userMessages = fullMessages.filter(msg => msg.role === 'user');
+  const firstUser = userMessages[0];
   const lastUser = userMessages[userMessages.length - 1];
+  const artifacts = collectArtifacts(fullMessages, Infinity);
+  const used = new Set();
+  // Code already written out in a packed message, and artifacts packed so far
+  const codeIncluded = new Set();
+  const artifactNames = new Map();
+  let remaining = budgetTokens - countTokens(templateBody.replace(/\{\{[^}]*\}\}/g, ''));
+
+  // Fit text built by format(maxChars, maxCodeLines) into what is left,
+  // shrinking until it does (extraTokens: wrapper text the item adds);
+  // returns null once the budget is spent or the item can't fit
+  const fit = (format, fullChars, fullLines, extraTokens = 0) => {
+    if (remaining <= CONFIG.HANDOFF_BUDGET_MIN_ITEM_TOKENS) return null;
+    const available = remaining - CONFIG.HANDOFF_ITEM_OVERHEAD_TOKENS - extraTokens;
+    let chars = fullChars;
+    let lines = fullLines;
+    let text = format(chars, lines);
+    let tokens = countTokens(text);
+    while (tokens > available) {
+      // Token counts don't scale linearly with chars, so step down and re-count
+      const ratio = Math.min(0.9, available / tokens);
+      const nextChars = Math.max(20, Math.floor(chars * ratio));
+      const nextLines = Math.max(2, Math.floor(lines * ratio));
+      if (nextChars === chars && nextLines === lines) return null;
+      chars = nextChars;
+      lines = nextLines;
+      text = format(chars, lines);
+      tokens = countTokens(text);
+    }
+    remaining -= tokens + CONFIG.HANDOFF_ITEM_OVERHEAD_TOKENS + extraTokens;
+    return text;
+  };
+  const take = (msg) => {
+    const text = fit((chars, lines) => formatHandoffText(msg, chars, lines, artifactNames),
+      msg.text.length, msg.text.split('\n').length);
+    if (text !== null) {
+      used.add(msg.id);
+      splitCodeSegments(msg).forEach((segment) => {
+        if (segment.type === 'code') codeIncluded.add(getArtifactKey(segment));
+      });
+    }
+    return text;
+  };
+
+  const sections = { original_request: '', pinned: [], salient: [], focus: '', recent: [], artifacts: [] };
+  const hasExtras = (firstUser && firstUser !== lastUser) || artifacts.length > 0;
+  const reserved = hasExtras ? Math.floor(budgetTokens * CONFIG.HANDOFF_BUDGET_EXTRA_SHARE) : 0;
+  remaining -= reserved;
+
+  for (const msg of fullMessages.filter(item => state.pinnedMessageIds.has(item.id))) {
+    const text = take(msg);
+    if (text === null) break;
+    sections.pinned.push({ role: msg.role === 'user' ? 'User' : 'Assistant', text });
+  }
+
   if (lastUser) {
-    lines.push('');
-    lines.push('### Current focus:');
-    lines.push(clipText(lastUser.text, limits.maxChars));
+    sections.focus = take(lastUser) || '';
   }
 
-  if (recentMessages.length > 0) {
-    lines.push('');
-    lines.push('### Recent exchange:');
-    recentMessages.forEach(msg => {
-      const roleLabel = msg.role === 'user' ? 'User' : 'Assistant';
-      lines.push(`- **${roleLabel}:** ${clipText(msg.text, limits.maxChars)}`);
-    });
+  const salientPicked = [];
+  for (const msg of getSalientMessages(fullMessages, used, fullMessages.length)) {
+    const text = take(msg);
+    if (text === null) break;
+    salientPicked.push({ msg, text });
   }
+  salientPicked
+    .sort((a, b) => fullMessages.indexOf(a.msg) - fullMessages.indexOf(b.msg))
+    .forEach(({ msg, text }) => sections.salient.push({ role: msg.role === 'user' ? 'User' : 'Assistant', text }));
+
+  const recentPicked = [];
+  for (let i = fullMessages.length - 1; i >= 0; i--) {
+    const msg = fullMessages[i];
+    if (used.has(msg.id)) continue;
+    const text = take(msg);
+    if (text === null) break;
+    recentPicked.unshift({ role: msg.role === 'user' ? 'User' : 'Assistant', text });
+  }
+  sections.recent = recentPicked;
 
-  lines.push('');
-  lines.push('Please continue from this context.');
-  return lines.join('\n');
+  remaining += reserved;
+  if (firstUser && firstUser !== lastUser && !used.has(firstUser.id)) {
+    sections.original_request = take(firstUser) || '';
+  }
+
+  for (const artifact of artifacts.reverse()) {
+    if (codeIncluded.has(artifact.key)) continue;
+    const lineCount = artifact.code.split('\n').length;
+    const heading = countTokens(`#### ${artifact.name}${formatCodeFence(artifact.language, '')}`);
+    const code = fit((chars, lines) => trimCodeLines(artifact.code, lines), artifact.code.length, lineCount, heading);
+    if (code === null) break;
+    sections.artifacts.unshift({ ...artifact, code });
+    artifactNames.set(artifact.key, artifact.name);
+  }
+
+  return sections;
+}
+
+function getHandoffBudget() {
+  const budget = Number(state.settings?.handoffBudgetTokens);
+  return Number.isFinite(budget) && budget > 0 ? budget : CONFIG.HANDOFF_DEFAULT_BUDGET_TOKENS;
+}
+
+function buildHandoffPacket(messages) {
+  const context = buildHandoffContext(messages);
+  return renderTemplate(getActiveHandoffTemplate().body, context);
 }
 
 function getSalientMessages(messages, excludeIds, maxCount) {
@@ -779,251 +3669,1810 @@ function scoreSalience(msg) {
   if (hasBulletList(msg.text)) score += 3;
   if (countImperativePhrases(msg.text) >= CONFIG.MIN_IMPERATIVES) score += 2;
   if (msg.charCount > 1200) score += 2;
-  if (msg.text.includes('```')) score += 2;
+  if (msg.text.includes('```') || msg.codeBlocks?.length > 0) score += 2;
   if (/\bimportant\b|\bmust\b|\bshould\b|\bremember\b/i.test(msg.text)) score += 2;
   return score;
 }
 
 // ============================================================================
-// SETTINGS
+// EXPORT
 // ============================================================================
 
-function getDefaultSettings() {
+/**
+ * Collect the transcript plus health metadata for export
+ */
+function buildExportData() {
+  const instructionSet = new Set(state.instructionIndices);
+  const healthData = state.lastHealthData;
+
   return {
-    autoLoadHistory: true,
-    handoffRichness: 'rich'
+    exportedAt: new Date().toISOString(),
+    conversationId: state.conversationId,
+    url: window.location.href,
+    title: document.title,
+    health: healthData ? {
+      health: healthData.health,
+      tier: healthData.tier,
+      reasons: healthData.reasons,
+      breakdown: healthData.breakdown,
+      stats: healthData.debugStats
+    } : null,
+    history: state.history,
+    pinnedMessageIds: Array.from(state.pinnedMessageIds),
+    instructionIndices: state.instructionIndices,
+    messages: state.messages
+      .filter(msg => !msg.isDraft)
+      .map((msg, index) => ({
+        index,
+        id: msg.id,
+        role: msg.role,
+        text: msg.text,
+        charCount: msg.charCount,
+        tokens: msg.tokens,
+        tokenStart: msg.tokenStart,
+        tokenEnd: msg.tokenEnd,
+        pinned: state.pinnedMessageIds.has(msg.id),
+        instruction: instructionSet.has(index)
+      }))
   };
 }
 
-function getHandoffLimits(settings) {
-  const richness = settings?.handoffRichness || 'rich';
-  if (richness === 'compact') {
-    return {
-      maxChars: 400,
-      maxPinned: 5,
-      maxRecent: 6,
-      maxSalience: 3
-    };
+function formatExportMarkdown(data) {
+  const lines = [];
+  lines.push(`# ${data.title || 'Claude conversation'}`);
+  lines.push('');
+  lines.push(`- Conversation: ${data.conversationId}`);
+  lines.push(`- URL: ${data.url}`);
+  lines.push(`- Exported: ${data.exportedAt}`);
+
+  if (data.health) {
+    lines.push('');
+    lines.push(`## Context health: ${data.health.health}% (${data.health.tier})`);
+    lines.push('');
+    lines.push(`${formatCount(data.health.stats.totalChars)} chars | ` +
+      `${formatCount(data.health.stats.totalTokens)} tokens | ${data.health.stats.messageCount} messages`);
+    if (data.health.breakdown.length > 0) {
+      lines.push('');
+      lines.push('| Factor | Points | Detail |');
+      lines.push('| --- | --- | --- |');
+      data.health.breakdown.forEach((item) => {
+        lines.push(`| ${item.label} | -${formatPoints(item.points)} | ${item.detail.replace(/\|/g, '\\|')} |`);
+      });
+    }
   }
-  if (richness === 'standard') {
+
+  if (data.history.length > 0) {
+    lines.push('');
+    lines.push('## Health history');
+    lines.push('');
+    lines.push('| Time | Messages | Tokens | Health | Tier |');
+    lines.push('| --- | --- | --- | --- | --- |');
+    data.history.forEach((entry) => {
+      lines.push(`| ${new Date(entry.timestamp).toISOString()} | ${entry.messages} | ` +
+        `${entry.tokens} | ${entry.health}% | ${entry.tier} |`);
+    });
+  }
+
+  lines.push('');
+  lines.push('## Transcript');
+  data.messages.forEach((msg) => {
+    const roleLabel = msg.role === 'user' ? 'User' : 'Assistant';
+    const tags = [];
+    if (msg.pinned) tags.push('pinned');
+    if (msg.instruction) tags.push('instruction');
+    lines.push('');
+    lines.push(`### ${msg.index + 1}. ${roleLabel}${tags.length > 0 ? ` [${tags.join(', ')}]` : ''}`);
+    lines.push(`_tokens ${msg.tokenStart}-${msg.tokenEnd} (${msg.tokens})_`);
+    lines.push('');
+    lines.push(msg.text.trim());
+  });
+
+  return lines.join('\n');
+}
+
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download the conversation and health report as Markdown or JSON
+ */
+function exportConversation(format) {
+  if (!state.messages || state.messages.length === 0) return;
+  const data = buildExportData();
+  const stamp = data.exportedAt.replace(/[:.]/g, '-');
+  const baseName = `claude-${data.conversationId}-${stamp}`;
+
+  if (format === 'json') {
+    downloadFile(`${baseName}.json`, JSON.stringify(data, null, 2), 'application/json');
+  } else {
+    downloadFile(`${baseName}.md`, formatExportMarkdown(data), 'text/markdown');
+  }
+}
+
+// ============================================================================
+// HANDOFF TEMPLATES
+// ============================================================================
+
+const TEMPLATE_PLACEHOLDERS = [
+  'original_request', 'pinned', 'salient', 'recent', 'focus', 'artifacts', 'stats',
+  'health', 'tier', 'message_count', 'token_count', 'conversation_id', 'date'
+];
+
+// Names that would shadow Object.prototype when used as a key
+const RESERVED_TEMPLATE_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+function isValidTemplateName(name) {
+  return Boolean(name) && !RESERVED_TEMPLATE_NAMES.includes(name);
+}
+
+function loadTemplates() {
+  state.templates = {};
+  try {
+    const data = storageGet(CONFIG.TEMPLATES_KEY, {});
+    if (!data || typeof data !== 'object') return;
+    Object.keys(data).forEach((name) => {
+      if (isValidTemplateName(name) && typeof data[name] === 'string') {
+        state.templates[name] = data[name];
+      }
+    });
+  } catch (e) {
+    state.templates = {};
+  }
+}
+
+function saveTemplates() {
+  try {
+    storageSet(CONFIG.TEMPLATES_KEY, state.templates);
+  } catch (e) {
+    console.error('Failed to save handoff templates:', e);
+  }
+}
+
+/**
+ * All templates as [{ id, label, body, builtin }]; custom ids are "custom:<name>"
+ */
+function listHandoffTemplates() {
+  const builtins = Object.entries(BUILTIN_HANDOFF_TEMPLATES).map(([id, template]) => ({
+    id,
+    label: template.label,
+    body: template.body,
+    builtin: true
+  }));
+  const custom = Object.keys(state.templates || {}).sort().map(name => ({
+    id: `custom:${name}`,
+    label: name,
+    body: state.templates[name],
+    builtin: false
+  }));
+  return builtins.concat(custom);
+}
+
+function getActiveHandoffTemplate() {
+  const id = state.settings?.handoffTemplate || 'default';
+  const templates = listHandoffTemplates();
+  return templates.find(template => template.id === id) || templates[0];
+}
+
+/**
+ * Render a template. Supports {{name}}, {{#each list}}...{{/each}} and
+ * {{#if name}}...{{else}}...{{/if}}. Lists used as plain {{name}} render
+ * as "- **Role:** text" lines.
+ */
+function renderTemplate(template, context) {
+  // Block tags alone on a line don't leave blank lines behind
+  const source = template.replace(/^[ \t]*(\{\{\s*(?:#each|#if|\/each|\/if|else)\b[^}]*\}\})[ \t]*\r?\n/gm, '$1');
+  const nodes = parseTemplate(source);
+  return renderTemplateNodes(nodes, [context])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*(#each|#if|\/each|\/if|else)?\s*([\w.]*)\s*\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const pushNode = (node) => {
+    const parent = current();
+    (parent.inElse ? parent.elseChildren : parent.children).push(node);
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      pushNode({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+    const [, keyword, name] = match;
+
+    if (keyword === '#each' || keyword === '#if') {
+      const node = { type: keyword.slice(1), name, children: [], elseChildren: [], inElse: false };
+      pushNode(node);
+      stack.push(node);
+    } else if (keyword === 'else') {
+      if (current().type === 'if') current().inElse = true;
+    } else if (keyword === '/each' || keyword === '/if') {
+      if (stack.length > 1) stack.pop();
+    } else if (name) {
+      pushNode({ type: 'var', name });
+    }
+  }
+  if (lastIndex < source.length) {
+    pushNode({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+function lookupTemplateValue(name, scopes) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (name === 'this') return scope;
+    if (scope && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, name)) {
+      return scope[name];
+    }
+  }
+  return '';
+}
+
+function isTemplateTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function formatTemplateValue(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      if (item && typeof item === 'object' && 'code' in item) {
+        return `#### ${item.name}${formatCodeFence(item.language, item.code)}`;
+      }
+      return item && typeof item === 'object'
+        ? `- **${item.role}:** ${item.text}`
+        : `- ${item}`;
+    }).join('\n');
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function renderTemplateNodes(nodes, scopes) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    const value = lookupTemplateValue(node.name, scopes);
+    if (node.type === 'var') return formatTemplateValue(value);
+    if (node.type === 'if') {
+      return renderTemplateNodes(isTemplateTruthy(value) ? node.children : node.elseChildren, scopes);
+    }
+    if (node.type === 'each') {
+      if (!Array.isArray(value)) return '';
+      return value.map((item, index) => renderTemplateNodes(
+        node.children,
+        scopes.concat([{ ...item, index: index + 1 }])
+      )).join('');
+    }
+    return '';
+  }).join('');
+}
+
+/**
+ * Rebuild the template <select> options in the hover panel
+ */
+function refreshTemplateSelect(hud) {
+  const select = hud?.querySelector('[data-setting="handoffTemplate"]');
+  if (!select) return;
+  select.innerHTML = '';
+  listHandoffTemplates().forEach((template) => {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.label;
+    select.appendChild(option);
+  });
+  select.value = getActiveHandoffTemplate().id;
+}
+
+/**
+ * Open the handoff template editor modal
+ */
+function openTemplateEditor() {
+  let modal = document.getElementById('claude-health-bar-templates');
+  if (!modal) {
+    modal = createTemplateEditor();
+  }
+  loadTemplateIntoEditor(modal, getActiveHandoffTemplate());
+  modal.style.display = 'flex';
+}
+
+function closeTemplateEditor() {
+  const modal = document.getElementById('claude-health-bar-templates');
+  if (modal) modal.style.display = 'none';
+}
+
+function createTemplateEditor() {
+  const modal = document.createElement('div');
+  modal.id = 'claude-health-bar-templates';
+  modal.className = 'health-bar-modal';
+
+  modal.innerHTML = `
+    <div class="health-bar-modal-body health-bar-modal-wide">
+      <div class="health-bar-modal-header">
+        <span class="health-orb-title">Handoff templates</span>
+        <button class="health-bar-modal-close" type="button" title="Close">&times;</button>
+      </div>
+      <div class="health-bar-profile-row">
+        <select class="health-bar-template-select"></select>
+        <button class="health-bar-template-delete" type="button">Delete</button>
+      </div>
+      <textarea class="health-bar-template-body" spellcheck="false"></textarea>
+      <div class="health-bar-template-help"></div>
+      <div class="health-bar-profile-row">
+        <input class="health-bar-template-name" type="text" placeholder="Template name">
+        <button class="health-bar-template-save" type="button">Save</button>
+      </div>
+      <div class="health-bar-template-status"></div>
+      <div class="health-orb-title">Preview</div>
+      <pre class="health-bar-template-preview"></pre>
+    </div>
+  `;
+
+  modal.querySelector('.health-bar-template-help').textContent =
+    `Placeholders: ${TEMPLATE_PLACEHOLDERS.map(name => `{{${name}}}`).join(' ')}. ` +
+    'Loops: {{#each pinned}}- {{text}}{{/each}} (items have role, text, index; artifacts have name, language, code). ' +
+    'Conditionals: {{#if focus}}...{{else}}...{{/if}}.';
+
+  const select = modal.querySelector('.health-bar-template-select');
+  const body = modal.querySelector('.health-bar-template-body');
+  const nameInput = modal.querySelector('.health-bar-template-name');
+  const status = modal.querySelector('.health-bar-template-status');
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeTemplateEditor();
+  });
+  modal.querySelector('.health-bar-modal-close').addEventListener('click', closeTemplateEditor);
+
+  select.addEventListener('change', () => {
+    const template = listHandoffTemplates().find(entry => entry.id === select.value);
+    if (template) loadTemplateIntoEditor(modal, template);
+  });
+
+  body.addEventListener('input', () => updateTemplatePreview(modal));
+
+  modal.querySelector('.health-bar-template-save').addEventListener('click', () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      status.textContent = 'Enter a name to save this template.';
+      return;
+    }
+    if (!isValidTemplateName(name)) {
+      status.textContent = `"${name}" is reserved; pick another name.`;
+      return;
+    }
+    state.templates[name] = body.value;
+    saveTemplates();
+    state.settings.handoffTemplate = `custom:${name}`;
+    saveSettings();
+    refreshTemplateSelect(document.getElementById('claude-health-bar-hud'));
+    loadTemplateIntoEditor(modal, getActiveHandoffTemplate());
+    status.textContent = `Saved "${name}".`;
+  });
+
+  modal.querySelector('.health-bar-template-delete').addEventListener('click', () => {
+    const template = listHandoffTemplates().find(entry => entry.id === select.value);
+    if (!template || template.builtin) return;
+    delete state.templates[template.label];
+    saveTemplates();
+    if (state.settings.handoffTemplate === template.id) {
+      state.settings.handoffTemplate = 'default';
+      saveSettings();
+    }
+    refreshTemplateSelect(document.getElementById('claude-health-bar-hud'));
+    loadTemplateIntoEditor(modal, getActiveHandoffTemplate());
+    status.textContent = `Deleted "${template.label}".`;
+  });
+
+  document.body.appendChild(modal);
+  return modal;
+}
+
+function loadTemplateIntoEditor(modal, template) {
+  const select = modal.querySelector('.health-bar-template-select');
+  select.innerHTML = '';
+  listHandoffTemplates().forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    option.textContent = entry.builtin ? `${entry.label} (built-in)` : entry.label;
+    select.appendChild(option);
+  });
+  select.value = template.id;
+  modal.querySelector('.health-bar-template-body').value = template.body;
+  // Built-ins are read-only: saving one asks for a new name
+  modal.querySelector('.health-bar-template-name').value = template.builtin ? '' : template.label;
+  modal.querySelector('.health-bar-template-delete').disabled = template.builtin;
+  modal.querySelector('.health-bar-template-status').textContent = '';
+  updateTemplatePreview(modal);
+}
+
+function updateTemplatePreview(modal) {
+  const preview = modal.querySelector('.health-bar-template-preview');
+  const body = modal.querySelector('.health-bar-template-body').value;
+  if (!state.messages || state.messages.length === 0) {
+    preview.textContent = '(open a conversation to preview)';
+    return;
+  }
+  preview.textContent = renderTemplate(body, buildHandoffContext(state.messages));
+}
+
+// ============================================================================
+// HANDOFF PREVIEW DIALOG
+// ============================================================================
+
+const HANDOFF_DIALOG_SECTIONS = [
+  { key: 'original_request', label: 'Original request' },
+  { key: 'pinned', label: 'Pinned instructions' },
+  { key: 'salient', label: 'Key highlights' },
+  { key: 'focus', label: 'Current focus' },
+  { key: 'artifacts', label: 'Artifacts' },
+  { key: 'recent', label: 'Recent exchange' }
+];
+
+/**
+ * Messages for a handoff that starts at a topic boundary: everything from
+ * splitIndex on, plus pinned messages from before it
+ */
+function getSplitMessages(messages, splitIndex) {
+  if (!splitIndex) return messages;
+  return messages.filter((msg, index) => index >= splitIndex || state.pinnedMessageIds.has(msg.id));
+}
+
+/**
+ * Preview the generated packet with toggleable, editable sections and items
+ * before it is sent to a new chat or copied. With splitIndex, the packet
+ * only covers the topic that starts at that message.
+ */
+function openHandoffDialog(splitIndex) {
+  closeHandoffDialog();
+  const context = buildHandoffContext(getSplitMessages(state.messages, splitIndex));
+  const boundaries = state.lastHealthData?.topics?.boundaries || [];
+  const suggestedSplit = boundaries[boundaries.length - 1];
+
+  // Editable copy: each section is a list of { enabled, item, value }
+  const sections = HANDOFF_DIALOG_SECTIONS.map(({ key, label }) => {
+    const raw = context[key];
+    const list = Array.isArray(raw) ? raw : (raw ? [raw] : []);
     return {
-      maxChars: 700,
-      maxPinned: 6,
-      maxRecent: 8,
-      maxSalience: 4
+      key,
+      label,
+      scalar: !Array.isArray(raw),
+      enabled: true,
+      items: list.map(item => ({
+        enabled: true,
+        item,
+        value: typeof item === 'string' ? item : (item.code !== undefined ? item.code : item.text)
+      }))
     };
-  }
-  return {
-    maxChars: CONFIG.HANDOFF_MAX_MESSAGE_CHARS,
-    maxPinned: CONFIG.HANDOFF_MAX_PINNED,
-    maxRecent: CONFIG.HANDOFF_MAX_RECENT,
-    maxSalience: CONFIG.HANDOFF_MAX_SALIENCE
+  }).filter(section => section.items.length > 0);
+  let note = '';
+
+  const modal = document.createElement('div');
+  modal.id = 'claude-health-bar-handoff';
+  modal.className = 'health-bar-modal';
+  modal.style.display = 'flex';
+  modal.innerHTML = `
+    <div class="health-bar-modal-body health-bar-modal-wide">
+      <div class="health-bar-modal-header">
+        <span class="health-orb-title">Review handoff</span>
+        <button class="health-bar-modal-close" type="button" title="Close">&times;</button>
+      </div>
+      <div class="health-bar-handoff-split"></div>
+      <div class="health-bar-handoff-sections"></div>
+      <div class="health-bar-scoring-group">Note for the new chat</div>
+      <textarea class="health-bar-handoff-note health-bar-template-body" placeholder="Optional"></textarea>
+      <div class="health-bar-handoff-estimate"></div>
+      <div class="health-bar-actions">
+        <button class="health-bar-handoff-open" type="button">Open new chat</button>
+        <button class="health-bar-handoff-copy" type="button">Copy</button>
+        <button class="health-bar-handoff-cancel" type="button">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  const buildEditedPacket = () => {
+    const edited = { ...context };
+    sections.forEach((section) => {
+      const items = section.enabled
+        ? section.items.filter(entry => entry.enabled).map((entry) => {
+          if (typeof entry.item === 'string') return entry.value;
+          if (entry.item.code !== undefined) return { ...entry.item, code: entry.value };
+          return { ...entry.item, text: entry.value };
+        })
+        : [];
+      edited[section.key] = section.scalar ? (items[0] || '') : items;
+    });
+    const packet = renderTemplate(getActiveHandoffTemplate().body, edited);
+    return note.trim() ? `${packet}\n\n### Note:\n${note.trim()}` : packet;
+  };
+
+  const estimate = modal.querySelector('.health-bar-handoff-estimate');
+  const updateEstimate = () => {
+    estimate.textContent = `Estimated size: ~${formatCount(countTokens(buildEditedPacket()))} tokens`;
   };
+
+  renderHandoffSplit(modal.querySelector('.health-bar-handoff-split'), splitIndex, suggestedSplit);
+
+  const container = modal.querySelector('.health-bar-handoff-sections');
+  sections.forEach((section) => {
+    const block = document.createElement('div');
+    block.className = 'health-bar-handoff-section';
+
+    const heading = document.createElement('label');
+    heading.className = 'health-bar-scoring-group health-bar-handoff-heading';
+    const sectionToggle = document.createElement('input');
+    sectionToggle.type = 'checkbox';
+    sectionToggle.checked = true;
+    heading.appendChild(sectionToggle);
+    heading.appendChild(document.createTextNode(` ${section.label}`));
+    block.appendChild(heading);
+
+    const itemsContainer = document.createElement('div');
+    section.items.forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = 'health-bar-handoff-item';
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = true;
+      const editor = document.createElement('textarea');
+      editor.value = entry.value;
+      editor.rows = Math.min(8, Math.max(2, entry.value.split('\n').length));
+      const prefix = entry.item && typeof entry.item === 'object'
+        ? (entry.item.role || entry.item.name)
+        : '';
+      if (prefix) editor.title = prefix;
+
+      toggle.addEventListener('change', () => {
+        entry.enabled = toggle.checked;
+        row.classList.toggle('is-disabled', !toggle.checked);
+        updateEstimate();
+      });
+      editor.addEventListener('input', () => {
+        entry.value = editor.value;
+        updateEstimate();
+      });
+
+      row.appendChild(toggle);
+      if (prefix) {
+        const label = document.createElement('span');
+        label.className = 'health-bar-handoff-role';
+        label.textContent = prefix;
+        row.appendChild(label);
+      }
+      row.appendChild(editor);
+      itemsContainer.appendChild(row);
+    });
+    block.appendChild(itemsContainer);
+
+    sectionToggle.addEventListener('change', () => {
+      section.enabled = sectionToggle.checked;
+      itemsContainer.classList.toggle('is-disabled', !sectionToggle.checked);
+      updateEstimate();
+    });
+
+    container.appendChild(block);
+  });
+
+  modal.querySelector('.health-bar-handoff-note').addEventListener('input', (e) => {
+    note = e.target.value;
+    updateEstimate();
+  });
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeHandoffDialog();
+  });
+  modal.querySelector('.health-bar-modal-close').addEventListener('click', closeHandoffDialog);
+  modal.querySelector('.health-bar-handoff-cancel').addEventListener('click', closeHandoffDialog);
+  modal.querySelector('.health-bar-handoff-open').addEventListener('click', () => {
+    const packet = buildEditedPacket();
+    closeHandoffDialog();
+    confirmHandoff(packet);
+  });
+  const copyButton = modal.querySelector('.health-bar-handoff-copy');
+  copyButton.addEventListener('click', () => {
+    copyPacketToClipboard(buildEditedPacket(), () => {
+      copyButton.textContent = 'Copied';
+      setTimeout(closeHandoffDialog, 600);
+    });
+  });
+
+  document.body.appendChild(modal);
+  updateEstimate();
+}
+
+/**
+ * Show which topic the packet covers, or suggest splitting at the latest
+ * topic boundary
+ */
+function renderHandoffSplit(element, splitIndex, suggestedSplit) {
+  const segments = state.lastHealthData?.topics?.segments || [];
+  const segmentAt = index => segments.find(segment => segment.start === index);
+  const button = document.createElement('button');
+  button.type = 'button';
+
+  if (splitIndex) {
+    const segment = segmentAt(splitIndex);
+    element.textContent = `From message #${splitIndex + 1}${segment ? ` (${segment.label})` : ''}, earlier pins kept. `;
+    button.textContent = 'Use whole chat';
+    button.addEventListener('click', () => openHandoffDialog());
+  } else if (suggestedSplit !== undefined) {
+    element.textContent = `Topic changed at message #${suggestedSplit + 1} (${segmentAt(suggestedSplit).label}). `;
+    button.textContent = 'Split here';
+    button.addEventListener('click', () => openHandoffDialog(suggestedSplit));
+  } else {
+    element.style.display = 'none';
+    return;
+  }
+  element.appendChild(button);
+}
+
+function closeHandoffDialog() {
+  const modal = document.getElementById('claude-health-bar-handoff');
+  if (modal) modal.remove();
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+function getDefaultSettings() {
+  return { ...DEFAULT_SETTINGS };
+}
+
+function getHandoffLimits(settings) {
+  const richness = settings?.handoffRichness || 'rich';
+  if (richness === 'compact') {
+    return {
+      maxChars: 400,
+      maxPinned: 5,
+      maxRecent: 6,
+      maxSalience: 3,
+      maxCodeLines: 10,
+      maxArtifacts: 2,
+      maxArtifactLines: 30
+    };
+  }
+  if (richness === 'standard') {
+    return {
+      maxChars: 700,
+      maxPinned: 6,
+      maxRecent: 8,
+      maxSalience: 4,
+      maxCodeLines: 20,
+      maxArtifacts: 3,
+      maxArtifactLines: 50
+    };
+  }
+  return {
+    maxChars: CONFIG.HANDOFF_MAX_MESSAGE_CHARS,
+    maxPinned: CONFIG.HANDOFF_MAX_PINNED,
+    maxRecent: CONFIG.HANDOFF_MAX_RECENT,
+    maxSalience: CONFIG.HANDOFF_MAX_SALIENCE,
+    maxCodeLines: CONFIG.HANDOFF_MAX_CODE_LINES,
+    maxArtifacts: CONFIG.HANDOFF_MAX_ARTIFACTS,
+    maxArtifactLines: CONFIG.HANDOFF_MAX_ARTIFACT_LINES
+  };
+}
+
+function loadSettings() {
+  const defaults = getDefaultSettings();
+  try {
+    const data = storageGet(CONFIG.SETTINGS_KEY, {});
+    state.settings = { ...defaults, ...data };
+  } catch (e) {
+    state.settings = defaults;
+  }
+}
+
+function saveSettings() {
+  try {
+    storageSet(CONFIG.SETTINGS_KEY, state.settings);
+  } catch (e) {
+    console.error('Failed to save settings:', e);
+  }
+}
+
+function initSettingsUI(hud) {
+  const panel = hud.querySelector('.health-bar-settings');
+  if (!panel) return;
+
+  panel.querySelectorAll('[data-setting]').forEach((input) => {
+    const key = input.getAttribute('data-setting');
+    if (!key) return;
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(state.settings?.[key]);
+    } else {
+      input.value = state.settings?.[key] || input.value;
+    }
+
+    input.addEventListener('change', () => {
+      if (input.type === 'checkbox') {
+        state.settings[key] = input.checked;
+      } else if (input.type === 'number') {
+        state.settings[key] = Number(input.value);
+      } else {
+        state.settings[key] = input.value;
+      }
+      saveSettings();
+      if (key === 'autoLoadHistory' && state.settings.autoLoadHistory) {
+        startAutoLoadHistory();
+      }
+      if (key === 'syncStorage' && state.settings.syncStorage) {
+        pushSyncKeys();
+      }
+      updateHealthBar();
+    });
+  });
+}
+
+/**
+ * Queue a handoff, keyed by source conversation so handoffs started from
+ * different tabs don't overwrite each other. Every packet is also kept in
+ * the handoff history for re-insertion later.
+ */
+function saveHandoff(packet) {
+  const payload = {
+    createdAt: Date.now(),
+    conversationId: state.conversationId,
+    title: getConversationTitle(),
+    hadPins: state.pinnedMessageIds.size > 0,
+    packet
+  };
+  updatePendingHandoffStore((store) => {
+    store[payload.conversationId] = payload;
+  });
+  addHandoffToHistory(payload);
+}
+
+/**
+ * Pending handoffs by source conversation, with expired entries dropped.
+ * A single legacy payload (pre-queue format) is migrated in place.
+ */
+function loadPendingHandoffStore() {
+  try {
+    return normalizePendingHandoffStore(storageGet(CONFIG.HANDOFF_STORAGE_KEY, {}));
+  } catch (e) {
+    return {};
+  }
+}
+
+function normalizePendingHandoffStore(stored) {
+  let store = stored || {};
+  if (store.packet && store.createdAt) {
+    store = { [store.conversationId || 'default']: store };
+  }
+
+  const now = Date.now();
+  Object.keys(store).forEach((id) => {
+    const payload = store[id];
+    if (!payload || !payload.packet || !payload.createdAt || now - payload.createdAt > CONFIG.HANDOFF_EXPIRY_MS) {
+      delete store[id];
+    }
+  });
+  return store;
+}
+
+/**
+ * Change the queue against its latest stored value; expired entries are
+ * dropped on the way
+ */
+function updatePendingHandoffStore(change) {
+  try {
+    storageUpdate(CONFIG.HANDOFF_STORAGE_KEY, {}, (stored) => {
+      const store = normalizePendingHandoffStore(stored);
+      change(store);
+      return store;
+    });
+  } catch (e) {
+    console.error('Failed to save pending handoffs:', e);
+  }
+}
+
+/**
+ * Pending handoffs, newest first
+ */
+function loadPendingHandoffs() {
+  return Object.values(loadPendingHandoffStore()).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function removePendingHandoff(sourceId) {
+  updatePendingHandoffStore((store) => {
+    delete store[sourceId];
+  });
+}
+
+function loadHandoffHistory() {
+  try {
+    const history = storageGet(CONFIG.HANDOFF_HISTORY_KEY, []);
+    return Array.isArray(history) ? history : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function addHandoffToHistory(payload) {
+  try {
+    storageUpdate(CONFIG.HANDOFF_HISTORY_KEY, [], (history) => {
+      const list = Array.isArray(history) ? history : [];
+      return [payload, ...list].slice(0, CONFIG.HANDOFF_HISTORY_MAX);
+    });
+  } catch (e) {
+    console.error('Failed to save handoff history:', e);
+  }
+}
+
+function formatAge(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+}
+
+function openNewChat() {
+  window.open('https://claude.ai/new', '_blank');
+}
+
+function startHandoff(splitIndex) {
+  if (!state.messages || state.messages.length === 0) return;
+  openHandoffDialog(splitIndex);
+}
+
+function confirmHandoff(packet) {
+  saveHandoff(packet);
+  openNewChat();
+}
+
+function copyHandoffToClipboard(button) {
+  if (!state.messages || state.messages.length === 0) return;
+  const packet = buildHandoffPacket(state.messages);
+
+  copyPacketToClipboard(packet, () => {
+    if (!button) return;
+    const original = button.textContent;
+    button.textContent = 'Copied';
+    setTimeout(() => {
+      button.textContent = original;
+    }, 1200);
+  });
+}
+
+function copyPacketToClipboard(packet, onSuccess) {
+  const formatted = `${packet}\n\n---\n`;
+
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(formatted)
+      .then(onSuccess)
+      .catch(() => {
+        fallbackCopy(formatted, onSuccess);
+      });
+  } else {
+    fallbackCopy(formatted, onSuccess);
+  }
+}
+
+function fallbackCopy(text, onSuccess) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.left = '-9999px';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    document.execCommand('copy');
+    onSuccess?.();
+  } catch (e) {
+    console.error('Failed to copy handoff:', e);
+  }
+  document.body.removeChild(textarea);
+}
+
+function isInputEmpty(input) {
+  if (!input) return true;
+  if (input.hasAttribute('contenteditable')) {
+    const text = (input.innerText || input.textContent || '').trim();
+    return text.length === 0;
+  }
+  const value = (input.value || '').trim();
+  return value.length === 0;
+}
+
+function setDraftInputText(text) {
+  const input = document.querySelector('[contenteditable="true"]') ||
+                document.querySelector('textarea[placeholder*="Reply"]');
+  if (!input) return false;
+  if (!isInputEmpty(input)) return false;
+
+  const formattedText = `${text}\n\n---\n`;
+  input.focus();
+  if (input.hasAttribute('contenteditable')) {
+    input.textContent = '';
+    const selection = window.getSelection();
+    if (selection) {
+      const range = document.createRange();
+      range.selectNodeContents(input);
+      range.collapse(true);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    if (document.queryCommandSupported && document.queryCommandSupported('insertText')) {
+      document.execCommand('insertText', false, formattedText);
+    } else {
+      input.textContent = formattedText;
+    }
+    input.dispatchEvent(new InputEvent('input', { bubbles: true, data: formattedText, inputType: 'insertText' }));
+  } else {
+    input.value = formattedText;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+  return true;
+}
+
+/**
+ * Insert a handoff into the composer; pending handoffs leave the queue.
+ * Re-inserting from history leaves the queue and lineage alone.
+ */
+function applyHandoff(handoff, fromHistory) {
+  const applied = setDraftInputText(handoff.packet);
+  if (!applied) return false;
+  state.handoffApplied = true;
+  if (fromHistory) return true;
+  removePendingHandoff(handoff.conversationId);
+  // The link is recorded once this chat gets its /chat/<id> URL
+  setPendingLineage(handoff);
+  return true;
+}
+
+function tryApplyHandoff(messages) {
+  if (state.handoffApplied) return;
+  const pending = loadPendingHandoffs();
+  if (pending.length === 0) return;
+
+  const hasUserMessages = messages.some(msg => msg.role === 'user' && !msg.isDraft);
+  if (hasUserMessages) return;
+
+  // Several handoffs are waiting: let the user pick one
+  if (pending.length > 1) {
+    if (!state.handoffInboxShown) {
+      state.handoffInboxShown = true;
+      openHandoffInbox();
+    }
+    return;
+  }
+
+  const handoff = pending[0];
+  const attemptApply = () => {
+    if (applyHandoff(handoff) && state.handoffApplyTimer) {
+      clearInterval(state.handoffApplyTimer);
+      state.handoffApplyTimer = null;
+    }
+  };
+
+  if (!state.handoffApplyTimer) {
+    let attempts = 0;
+    state.handoffApplyTimer = setInterval(() => {
+      attempts += 1;
+      if (attempts > 20) {
+        clearInterval(state.handoffApplyTimer);
+        state.handoffApplyTimer = null;
+        return;
+      }
+      attemptApply();
+    }, 500);
+  }
+  attemptApply();
+}
+
+/**
+ * Picker for pending handoffs plus the history of past packets
+ */
+function openHandoffInbox() {
+  let modal = document.getElementById('claude-health-bar-inbox');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'claude-health-bar-inbox';
+    modal.className = 'health-bar-modal';
+    modal.innerHTML = `
+      <div class="health-bar-modal-body health-bar-modal-wide">
+        <div class="health-bar-modal-header">
+          <span class="health-orb-title">Handoff inbox</span>
+          <button class="health-bar-modal-close" type="button" title="Close">&times;</button>
+        </div>
+        <div class="health-bar-scoring-group">Pending</div>
+        <ul class="health-bar-inbox-list health-bar-inbox-pending"></ul>
+        <div class="health-bar-scoring-group">History</div>
+        <ul class="health-bar-inbox-list health-bar-inbox-history"></ul>
+        <div class="health-bar-template-status"></div>
+      </div>
+    `;
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.style.display = 'none';
+    });
+    modal.querySelector('.health-bar-modal-close').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    document.body.appendChild(modal);
+  }
+  renderHandoffInbox(modal);
+  modal.style.display = 'flex';
+}
+
+function renderHandoffInbox(modal) {
+  const status = modal.querySelector('.health-bar-template-status');
+  status.textContent = '';
+
+  const insert = (handoff, fromHistory) => {
+    if (applyHandoff(handoff, fromHistory)) {
+      modal.style.display = 'none';
+    } else {
+      status.textContent = 'Clear the message box (or open a new chat) to insert a handoff.';
+    }
+  };
+
+  const renderList = (list, items, emptyText, withDiscard) => {
+    list.innerHTML = '';
+    if (items.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'health-bar-inbox-empty';
+      empty.textContent = emptyText;
+      list.appendChild(empty);
+      return;
+    }
+    items.forEach((handoff) => {
+      const row = document.createElement('li');
+      row.className = 'health-bar-inbox-item';
+
+      const info = document.createElement('div');
+      info.className = 'health-bar-inbox-info';
+      const title = document.createElement('div');
+      title.className = 'health-bar-inbox-title';
+      title.textContent = handoff.title || 'Untitled chat';
+      title.title = handoff.packet.slice(0, 600);
+      const meta = document.createElement('div');
+      meta.className = 'health-bar-inbox-meta';
+      meta.textContent = `from ${(handoff.conversationId || 'unknown').slice(0, 8)} | ${formatAge(handoff.createdAt)} | ` +
+        `~${formatCount(countTokens(handoff.packet))} tokens`;
+      info.appendChild(title);
+      info.appendChild(meta);
+      row.appendChild(info);
+
+      const actions = document.createElement('div');
+      actions.className = 'health-bar-profile-row';
+      const insertButton = document.createElement('button');
+      insertButton.type = 'button';
+      insertButton.textContent = 'Insert';
+      insertButton.addEventListener('click', () => insert(handoff, !withDiscard));
+      actions.appendChild(insertButton);
+      if (withDiscard) {
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.textContent = 'Discard';
+        discardButton.addEventListener('click', () => {
+          removePendingHandoff(handoff.conversationId);
+          renderHandoffInbox(modal);
+        });
+        actions.appendChild(discardButton);
+      }
+      row.appendChild(actions);
+      list.appendChild(row);
+    });
+  };
+
+  renderList(modal.querySelector('.health-bar-inbox-pending'), loadPendingHandoffs(), 'No pending handoffs', true);
+  renderList(modal.querySelector('.health-bar-inbox-history'), loadHandoffHistory(), 'No past handoffs', false);
+}
+
+// ============================================================================
+// SCORING PROFILES
+// ============================================================================
+
+const SCORING_FIELDS = [
+  { group: 'Token bands', path: 'TOKEN_THRESHOLDS.LOW', label: 'Low (-10)', step: 1000 },
+  { group: 'Token bands', path: 'TOKEN_THRESHOLDS.MEDIUM', label: 'Medium (-20)', step: 1000 },
+  { group: 'Token bands', path: 'TOKEN_THRESHOLDS.HIGH', label: 'High (-30)', step: 1000 },
+  { group: 'Char penalty curve', path: 'CHAR_PENALTY_POINTS.1.chars', label: 'Point 1 chars', step: 10000 },
+  { group: 'Char penalty curve', path: 'CHAR_PENALTY_POINTS.1.penalty', label: 'Point 1 penalty', step: 1 },
+  { group: 'Char penalty curve', path: 'CHAR_PENALTY_POINTS.2.chars', label: 'Point 2 chars', step: 10000 },
+  { group: 'Char penalty curve', path: 'CHAR_PENALTY_POINTS.2.penalty', label: 'Point 2 penalty', step: 1 },
+  { group: 'Char penalty curve', path: 'CHAR_PENALTY_POINTS.3.chars', label: 'Point 3 chars', step: 10000 },
+  { group: 'Char penalty curve', path: 'CHAR_PENALTY_POINTS.3.penalty', label: 'Point 3 penalty', step: 1 },
+  { group: 'Message bands', path: 'MESSAGE_THRESHOLDS.LOW', label: 'Low (-10)', step: 5 },
+  { group: 'Message bands', path: 'MESSAGE_THRESHOLDS.MEDIUM', label: 'Medium (-20)', step: 5 },
+  { group: 'Message bands', path: 'MESSAGE_THRESHOLDS.HIGH', label: 'High (-30)', step: 5 },
+  { group: 'Noise', path: 'LONG_MESSAGE_THRESHOLD', label: 'Long reply chars', step: 250 },
+  { group: 'Noise', path: 'ASSISTANT_DOMINANCE_RATIO', label: 'Dominance ratio', step: 0.05, min: 0, max: 1 },
+  { group: 'Tiers & handoff', path: 'TIER_CUTOFFS.STABLE', label: 'Stable from', step: 1, min: 0, max: 100 },
+  { group: 'Tiers & handoff', path: 'TIER_CUTOFFS.DEGRADING', label: 'Degrading from', step: 1, min: 0, max: 100 },
+  { group: 'Tiers & handoff', path: 'TIER_CUTOFFS.UNRELIABLE', label: 'Unreliable from', step: 1, min: 0, max: 100 },
+  { group: 'Tiers & handoff', path: 'HANDOFF_THRESHOLD', label: 'Show Refresh at or below', step: 1, min: 0, max: 100 }
+];
+
+// Values in each list must strictly increase
+const SCORING_ORDER = [
+  ['TOKEN_THRESHOLDS.LOW', 'TOKEN_THRESHOLDS.MEDIUM', 'TOKEN_THRESHOLDS.HIGH'],
+  ['MESSAGE_THRESHOLDS.LOW', 'MESSAGE_THRESHOLDS.MEDIUM', 'MESSAGE_THRESHOLDS.HIGH'],
+  ['TIER_CUTOFFS.UNRELIABLE', 'TIER_CUTOFFS.DEGRADING', 'TIER_CUTOFFS.STABLE']
+];
+
+/**
+ * Default scoring values, copied out of CONFIG so edits never mutate it
+ */
+function getDefaultScoring() {
+  return JSON.parse(JSON.stringify({
+    TOKEN_THRESHOLDS: CONFIG.TOKEN_THRESHOLDS,
+    CHAR_PENALTY_POINTS: CONFIG.CHAR_PENALTY_POINTS,
+    MESSAGE_THRESHOLDS: CONFIG.MESSAGE_THRESHOLDS,
+    LONG_MESSAGE_THRESHOLD: CONFIG.LONG_MESSAGE_THRESHOLD,
+    ASSISTANT_DOMINANCE_RATIO: CONFIG.ASSISTANT_DOMINANCE_RATIO,
+    TIER_CUTOFFS: CONFIG.TIER_CUTOFFS,
+    HANDOFF_THRESHOLD: CONFIG.HANDOFF_THRESHOLD
+  }));
+}
+
+/**
+ * Active scoring values (falls back to defaults before profiles load)
+ */
+function getScoring() {
+  return state.scoring || getDefaultScoring();
+}
+
+function getPathValue(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function setPathValue(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => value[key], obj);
+  target[last] = value;
+}
+
+/**
+ * Merge stored values over defaults, keeping only valid numbers
+ */
+function normalizeScoring(raw) {
+  const scoring = getDefaultScoring();
+  if (!raw || typeof raw !== 'object') return scoring;
+  SCORING_FIELDS.forEach((field) => {
+    const value = Number(getPathValue(raw, field.path));
+    if (Number.isFinite(value)) {
+      setPathValue(scoring, field.path, value);
+    }
+  });
+  scoring.CHAR_PENALTY_POINTS.sort((a, b) => a.chars - b.chars);
+  return scoring;
+}
+
+/**
+ * Paths whose values break the increasing order of their bands or cutoffs
+ */
+function getScoringOrderErrors(scoring) {
+  const invalid = new Set();
+  SCORING_ORDER.forEach((paths) => {
+    for (let i = 1; i < paths.length; i++) {
+      if (getPathValue(scoring, paths[i]) <= getPathValue(scoring, paths[i - 1])) {
+        invalid.add(paths[i - 1]);
+        invalid.add(paths[i]);
+      }
+    }
+  });
+  return invalid;
+}
+
+function loadProfiles() {
+  let data = {};
+  try {
+    data = storageGet(CONFIG.PROFILES_KEY, {});
+  } catch (e) {
+    data = {};
+  }
+
+  const profiles = {};
+  Object.entries(data.profiles || {}).forEach(([name, values]) => {
+    profiles[name] = normalizeScoring(values);
+  });
+  const active = data.active && profiles[data.active] ? data.active : null;
+
+  state.profiles = { active, profiles };
+  state.scoring = normalizeScoring(active ? profiles[active] : data.current);
+}
+
+function saveProfiles() {
+  try {
+    storageSet(CONFIG.PROFILES_KEY, {
+      active: state.profiles.active,
+      current: state.scoring,
+      profiles: state.profiles.profiles
+    });
+  } catch (e) {
+    console.error('Failed to save scoring profiles:', e);
+  }
+}
+
+/**
+ * Replace the active scoring values and re-score the conversation
+ */
+function applyScoring(scoring, profileName) {
+  state.scoring = normalizeScoring(scoring);
+  state.profiles.active = profileName || null;
+  saveProfiles();
+  updateHealthBar();
+}
+
+function saveScoringProfile(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return false;
+  state.profiles.profiles[trimmed] = normalizeScoring(state.scoring);
+  state.profiles.active = trimmed;
+  saveProfiles();
+  return true;
+}
+
+function deleteScoringProfile(name) {
+  if (!state.profiles.profiles[name]) return;
+  delete state.profiles.profiles[name];
+  if (state.profiles.active === name) {
+    state.profiles.active = null;
+  }
+  saveProfiles();
+}
+
+/**
+ * Open the scoring profile editor modal
+ */
+function openScoringEditor() {
+  let modal = document.getElementById('claude-health-bar-scoring');
+  if (!modal) {
+    modal = createScoringEditor();
+  }
+  refreshScoringEditor(modal);
+  modal.style.display = 'flex';
+}
+
+function closeScoringEditor() {
+  const modal = document.getElementById('claude-health-bar-scoring');
+  if (modal) modal.style.display = 'none';
+}
+
+function createScoringEditor() {
+  const modal = document.createElement('div');
+  modal.id = 'claude-health-bar-scoring';
+  modal.className = 'health-bar-modal';
+
+  modal.innerHTML = `
+    <div class="health-bar-modal-body">
+      <div class="health-bar-modal-header">
+        <span class="health-orb-title">Scoring profile</span>
+        <button class="health-bar-modal-close" type="button" title="Close">&times;</button>
+      </div>
+      <div class="health-bar-profile-row">
+        <select class="health-bar-profile-select"></select>
+        <button class="health-bar-profile-delete" type="button">Delete</button>
+      </div>
+      <div class="health-bar-profile-row">
+        <input class="health-bar-profile-name" type="text" placeholder="Profile name">
+        <button class="health-bar-profile-save" type="button">Save as</button>
+      </div>
+      <div class="health-bar-scoring-fields"></div>
+      <div class="health-bar-actions">
+        <button class="health-bar-profile-reset" type="button">Reset to defaults</button>
+      </div>
+    </div>
+  `;
+
+  const fieldsContainer = modal.querySelector('.health-bar-scoring-fields');
+  let currentGroup = null;
+  SCORING_FIELDS.forEach((field) => {
+    if (field.group !== currentGroup) {
+      currentGroup = field.group;
+      const heading = document.createElement('div');
+      heading.className = 'health-bar-scoring-group';
+      heading.textContent = field.group;
+      fieldsContainer.appendChild(heading);
+    }
+    const label = document.createElement('label');
+    label.className = 'health-bar-setting';
+    label.textContent = field.label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = String(field.step);
+    if (field.min !== undefined) input.min = String(field.min);
+    if (field.max !== undefined) input.max = String(field.max);
+    input.dataset.scoringPath = field.path;
+    input.addEventListener('input', () => editScoringField(modal, input, false));
+    input.addEventListener('change', () => editScoringField(modal, input, true));
+    label.appendChild(input);
+    fieldsContainer.appendChild(label);
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeScoringEditor();
+  });
+  modal.querySelector('.health-bar-modal-close').addEventListener('click', closeScoringEditor);
+
+  modal.querySelector('.health-bar-profile-select').addEventListener('change', (e) => {
+    const name = e.target.value;
+    const scoring = name ? state.profiles.profiles[name] : getDefaultScoring();
+    applyScoring(scoring, name);
+    refreshScoringEditor(modal);
+  });
+
+  modal.querySelector('.health-bar-profile-save').addEventListener('click', () => {
+    const nameInput = modal.querySelector('.health-bar-profile-name');
+    if (saveScoringProfile(nameInput.value)) {
+      nameInput.value = '';
+      refreshScoringEditor(modal);
+    }
+  });
+
+  modal.querySelector('.health-bar-profile-delete').addEventListener('click', () => {
+    const name = modal.querySelector('.health-bar-profile-select').value;
+    if (!name) return;
+    deleteScoringProfile(name);
+    refreshScoringEditor(modal);
+  });
+
+  modal.querySelector('.health-bar-profile-reset').addEventListener('click', () => {
+    applyScoring(getDefaultScoring(), null);
+    refreshScoringEditor(modal);
+  });
+
+  document.body.appendChild(modal);
+  return modal;
+}
+
+/**
+ * Apply an edited field from the draft. The draft keeps the char penalty points
+ * in the order the inputs are bound to; they are only re-sorted (and the inputs
+ * re-bound) once the field is committed on blur.
+ */
+function editScoringField(modal, input, commit) {
+  const value = Number(input.value);
+  if (!Number.isFinite(value) || input.value === '') return;
+  if (!state.scoringDraft) state.scoringDraft = JSON.parse(JSON.stringify(getScoring()));
+  setPathValue(state.scoringDraft, input.dataset.scoringPath, value);
+
+  const invalid = getScoringOrderErrors(state.scoringDraft);
+  modal.querySelectorAll('[data-scoring-path]').forEach((el) => {
+    el.classList.toggle('invalid', invalid.has(el.dataset.scoringPath));
+  });
+  if (invalid.size > 0) return;
+
+  state.scoring = normalizeScoring(state.scoringDraft);
+  if (state.profiles.active) {
+    state.profiles.profiles[state.profiles.active] = normalizeScoring(state.scoring);
+  }
+  saveProfiles();
+  scheduleUpdate();
+  if (commit) refreshScoringEditor(modal);
+}
+
+/**
+ * Sync the editor inputs with the active profile and scoring values
+ */
+function refreshScoringEditor(modal) {
+  const select = modal.querySelector('.health-bar-profile-select');
+  select.innerHTML = '';
+  const customOption = document.createElement('option');
+  customOption.value = '';
+  customOption.textContent = '(unsaved / defaults)';
+  select.appendChild(customOption);
+  Object.keys(state.profiles.profiles).sort().forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = state.profiles.active || '';
+  modal.querySelector('.health-bar-profile-delete').disabled = !state.profiles.active;
+
+  state.scoringDraft = JSON.parse(JSON.stringify(state.scoring));
+  modal.querySelectorAll('[data-scoring-path]').forEach((input) => {
+    input.value = String(getPathValue(state.scoring, input.dataset.scoringPath));
+    input.classList.remove('invalid');
+  });
+}
+
+// ============================================================================
+// INSTRUCTION REINFORCEMENT
+// ============================================================================
+
+function isReinforcementMessage(msg) {
+  return msg.role === 'user' && normalizeText(msg.text).startsWith(CONFIG.REINFORCE_HEADER);
+}
+
+/**
+ * Build a compact restatement of pinned and detected instructions
+ */
+function buildReinforcementPacket(messages, instructions) {
+  const sources = instructions
+    .filter(instruction => instruction.source !== 'reinforced')
+    .sort((a, b) => {
+      // Pinned first, then most recent
+      if (a.source !== b.source) return a.source === 'pinned' ? -1 : 1;
+      return b.index - a.index;
+    })
+    .slice(0, CONFIG.REINFORCE_MAX_ITEMS)
+    .sort((a, b) => a.index - b.index);
+  if (sources.length === 0) return null;
+
+  const lines = [];
+  lines.push(CONFIG.REINFORCE_HEADER);
+  lines.push('');
+  sources.forEach((instruction) => {
+    const msg = messages[instruction.index];
+    if (!msg) return;
+    lines.push(`- ${clipText(msg.text, CONFIG.REINFORCE_MAX_CHARS)}`);
+  });
+  lines.push('');
+  lines.push('Please keep following these for the rest of the conversation.');
+  return lines.join('\n');
 }
 
-function loadSettings() {
-  const defaults = getDefaultSettings();
-  try {
-    const data = JSON.parse(localStorage.getItem(CONFIG.SETTINGS_KEY) || '{}');
-    state.settings = { ...defaults, ...data };
-  } catch (e) {
-    state.settings = defaults;
-  }
+/**
+ * Insert the reinforcement into the composer for the user to send
+ */
+function reinforceInstructions(button) {
+  if (!state.messages || state.messages.length === 0) return false;
+  const packet = buildReinforcementPacket(state.messages, state.instructions);
+  if (!packet) return false;
+
+  const inserted = setDraftInputText(packet);
+  if (!button) return inserted;
+  const original = button.textContent;
+  button.textContent = inserted ? 'Inserted' : 'Clear input';
+  setTimeout(() => {
+    button.textContent = original;
+  }, 1200);
+  return inserted;
 }
 
-function saveSettings() {
+// ============================================================================
+// HANDOFF LINEAGE
+// ============================================================================
+
+function getConversationTitle() {
+  return (document.title || '').replace(/\s*[-|]\s*Claude\s*$/i, '').trim();
+}
+
+/**
+ * Lineage map, cached in state (the HUD reads it on every update); writes
+ * and storage changes from other tabs clear the cache
+ */
+function loadLineage() {
+  if (state.lineage) return state.lineage;
   try {
-    localStorage.setItem(CONFIG.SETTINGS_KEY, JSON.stringify(state.settings));
+    state.lineage = storageGet(CONFIG.LINEAGE_KEY, {});
   } catch (e) {
-    console.error('Failed to save settings:', e);
+    state.lineage = {};
   }
+  return state.lineage;
 }
 
-function initSettingsUI(hud) {
-  const panel = hud.querySelector('.health-bar-settings');
-  if (!panel) return;
-
-  panel.querySelectorAll('[data-setting]').forEach((input) => {
-    const key = input.getAttribute('data-setting');
-    if (!key) return;
-    if (input.type === 'checkbox') {
-      input.checked = Boolean(state.settings?.[key]);
-    } else {
-      input.value = state.settings?.[key] || input.value;
-    }
-
-    input.addEventListener('change', () => {
-      if (input.type === 'checkbox') {
-        state.settings[key] = input.checked;
-      } else {
-        state.settings[key] = input.value;
-      }
-      saveSettings();
-      if (key === 'autoLoadHistory' && state.settings.autoLoadHistory) {
-        startAutoLoadHistory();
-      }
-      updateHealthBar();
+function updateLineage(change) {
+  try {
+    storageUpdate(CONFIG.LINEAGE_KEY, {}, (lineage) => {
+      change(lineage);
+      return lineage;
     });
-  });
+    state.lineage = null;
+  } catch (e) {
+    console.error('Failed to save handoff lineage:', e);
+  }
 }
 
-function saveHandoff(packet) {
-  const payload = {
-    createdAt: Date.now(),
-    conversationId: state.conversationId,
-    packet
-  };
-  localStorage.setItem(CONFIG.HANDOFF_STORAGE_KEY, JSON.stringify(payload));
+/**
+ * Remember the parent of a handoff that was just inserted into this tab.
+ * sessionStorage keeps it across a reload before the first message is sent.
+ */
+function setPendingLineage(handoff) {
+  if (!handoff.conversationId || handoff.conversationId === 'default') return;
+  try {
+    sessionStorage.setItem(CONFIG.LINEAGE_PENDING_KEY, JSON.stringify({
+      parentId: handoff.conversationId,
+      parentTitle: handoff.title || '',
+      packetHead: normalizeLineageText(handoff.packet).slice(0, CONFIG.LINEAGE_MATCH_CHARS),
+      carryPins: Boolean(handoff.hadPins && state.settings?.carryPins)
+    }));
+  } catch (e) {
+    console.error('Failed to store pending lineage:', e);
+  }
 }
 
-function loadHandoff() {
-  const raw = localStorage.getItem(CONFIG.HANDOFF_STORAGE_KEY);
-  if (!raw) return null;
+function takePendingLineage() {
   try {
-    const payload = JSON.parse(raw);
-    if (!payload || !payload.packet || !payload.createdAt) return null;
-    if (Date.now() - payload.createdAt > CONFIG.HANDOFF_EXPIRY_MS) {
-      localStorage.removeItem(CONFIG.HANDOFF_STORAGE_KEY);
-      return null;
-    }
-    return payload;
+    const raw = sessionStorage.getItem(CONFIG.LINEAGE_PENDING_KEY);
+    if (!raw) return null;
+    sessionStorage.removeItem(CONFIG.LINEAGE_PENDING_KEY);
+    return JSON.parse(raw);
   } catch (e) {
-    localStorage.removeItem(CONFIG.HANDOFF_STORAGE_KEY);
     return null;
   }
 }
 
-function clearHandoff() {
-  localStorage.removeItem(CONFIG.HANDOFF_STORAGE_KEY);
+/**
+ * Letters and digits only, so markdown rendering doesn't break the match
+ */
+function normalizeLineageText(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
 }
 
-function openNewChat() {
-  window.open('https://claude.ai/new', '_blank');
+/**
+ * A new chat got its ID; link it once its first message turns out to be
+ * the handoff packet
+ */
+function confirmPendingLineage(messages) {
+  const candidate = state.lineageCandidate;
+  if (!candidate || candidate.childId !== state.conversationId) return;
+  const firstUser = messages.find(msg => msg.role === 'user' && !msg.isDraft);
+  if (!firstUser) return;
+  state.lineageCandidate = null;
+  const head = candidate.pending.packetHead;
+  if (head && normalizeLineageText(firstUser.text).startsWith(head)) {
+    recordLineage(candidate.pending, candidate.childId);
+  }
 }
 
-function startHandoff() {
-  if (!state.messages || state.messages.length === 0) return;
-  const packet = buildHandoffPacket(state.messages);
-  saveHandoff(packet);
-  openNewChat();
+/**
+ * Link parent -> child once the new chat has its own conversation ID
+ */
+function recordLineage(pending, childId) {
+  const now = Date.now();
+  updateLineage((lineage) => {
+    const parent = lineage[pending.parentId] || { parent: null, children: [] };
+    if (!parent.children.includes(childId)) parent.children.push(childId);
+    if (pending.parentTitle) parent.title = pending.parentTitle;
+    parent.updatedAt = now;
+
+    const child = lineage[childId] || { parent: null, children: [] };
+    child.parent = pending.parentId;
+    child.updatedAt = now;
+
+    lineage[pending.parentId] = parent;
+    lineage[childId] = child;
+  });
+
+  if (pending.carryPins) {
+    state.carryPinsPending = true;
+  }
 }
 
-function copyHandoffToClipboard(button) {
-  if (!state.messages || state.messages.length === 0) return;
-  const packet = buildHandoffPacket(state.messages);
-  const formatted = `${packet}\n\n---\n`;
+/**
+ * Carry pins forward by pinning the handoff message itself, which restates
+ * the parent's pinned instructions
+ */
+function applyCarriedPins(messages) {
+  if (!state.carryPinsPending) return;
+  const handoffMessage = messages.find(msg => msg.role === 'user' && !msg.isDraft);
+  if (!handoffMessage) return;
+  state.carryPinsPending = false;
+  state.pinnedMessageIds.add(handoffMessage.id);
+  savePinsToStorage();
+}
 
-  const onSuccess = () => {
-    if (!button) return;
-    const original = button.textContent;
-    button.textContent = 'Copied';
-    setTimeout(() => {
-      button.textContent = original;
-    }, 1200);
-  };
+/**
+ * Keep the stored title of a linked conversation current
+ */
+function updateLineageTitle() {
+  const conversationId = state.conversationId;
+  const entry = loadLineage()[conversationId];
+  const title = getConversationTitle();
+  if (!entry || !title || entry.title === title) return;
+  updateLineage((lineage) => {
+    if (lineage[conversationId]) lineage[conversationId].title = title;
+  });
+}
 
-  if (navigator.clipboard && navigator.clipboard.writeText) {
-    navigator.clipboard.writeText(formatted)
-      .then(onSuccess)
-      .catch(() => {
-        fallbackCopy(formatted, onSuccess);
-      });
-  } else {
-    fallbackCopy(formatted, onSuccess);
+function renderLineage(container) {
+  if (!container) return;
+  container.innerHTML = '';
+  const lineage = loadLineage();
+  const entry = lineage[state.conversationId];
+  if (!entry || (!entry.parent && entry.children.length === 0)) {
+    container.style.display = 'none';
+    return;
   }
+  container.style.display = '';
+
+  const addRow = (label, ids) => {
+    const row = document.createElement('div');
+    row.className = 'health-orb-lineage-row';
+    row.appendChild(document.createTextNode(`${label} `));
+    ids.forEach((id, i) => {
+      const link = document.createElement('a');
+      link.href = `/chat/${id}`;
+      link.textContent = lineage[id]?.title || id.slice(0, 8);
+      link.title = id;
+      if (i > 0) row.appendChild(document.createTextNode(', '));
+      row.appendChild(link);
+    });
+    container.appendChild(row);
+  };
+
+  if (entry.parent) addRow('Continued from', [entry.parent]);
+  if (entry.children.length > 0) addRow('Continued in', entry.children);
 }
 
-function fallbackCopy(text, onSuccess) {
-  const textarea = document.createElement('textarea');
-  textarea.value = text;
-  textarea.setAttribute('readonly', '');
-  textarea.style.position = 'fixed';
-  textarea.style.left = '-9999px';
-  document.body.appendChild(textarea);
-  textarea.select();
-  try {
-    document.execCommand('copy');
-    onSuccess?.();
-  } catch (e) {
-    console.error('Failed to copy handoff:', e);
+/**
+ * claude.ai navigates without reloading; pick up the new conversation ID
+ * (and queue lineage when a /new chat gets its /chat/<id> URL)
+ */
+function checkConversationChange() {
+  // claude.ai may swap the message list without a URL change
+  if (state.observedContainer && !state.observedContainer.isConnected) {
+    observeConversation();
+    scheduleUpdate();
   }
-  document.body.removeChild(textarea);
+  checkAttachmentPanels();
+
+  const conversationId = getConversationId();
+  const previousPath = state.pathname;
+  state.pathname = window.location.pathname;
+  if (conversationId === state.conversationId) return;
+  state.conversationId = conversationId;
+  state.lineageCandidate = null;
+
+  // Only a fresh chat that was just sent can be a handoff's successor
+  if (conversationId !== 'default' && /^\/new\b/.test(previousPath)) {
+    const pending = takePendingLineage();
+    if (pending && pending.parentId !== conversationId) {
+      state.lineageCandidate = { pending, childId: conversationId };
+    }
+  }
+
+  loadPinsFromStorage();
+  loadHistory();
+  state.alertArmed = false;
+  state.autoLoadComplete = false;
+  observeConversation();
+  scheduleUpdate();
 }
 
-function isInputEmpty(input) {
-  if (!input) return true;
-  if (input.hasAttribute('contenteditable')) {
-    const text = (input.innerText || input.textContent || '').trim();
-    return text.length === 0;
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+/**
+ * Commands relayed from background.js. Keys are set in manifest.json and
+ * can be changed at chrome://extensions/shortcuts.
+ */
+function runShortcutCommand(command) {
+  switch (command) {
+    case 'copy-handoff':
+      if (!state.messages || state.messages.length === 0) return;
+      copyPacketToClipboard(buildHandoffPacket(state.messages), () => showShortcutNotice('Handoff copied'));
+      break;
+    case 'start-handoff':
+      startHandoff();
+      break;
+    case 'toggle-pin':
+      togglePinOnLastUserMessage();
+      break;
+    case 'toggle-panel':
+      state.panelOpen = !state.panelOpen;
+      if (state.panelOpen) state.orbHidden = false;
+      applyOrbVisibility();
+      break;
+    case 'toggle-orb':
+      state.orbHidden = !state.orbHidden;
+      applyOrbVisibility();
+      break;
+    default:
+      break;
   }
-  const value = (input.value || '').trim();
-  return value.length === 0;
 }
 
-function setDraftInputText(text) {
-  const input = document.querySelector('[contenteditable="true"]') ||
-                document.querySelector('textarea[placeholder*="Reply"]');
-  if (!input) return false;
-  if (!isInputEmpty(input)) return false;
+function togglePinOnLastUserMessage() {
+  const lastUser = [...(state.messages || [])].reverse()
+    .find(msg => msg.role === 'user' && !msg.isDraft);
+  if (!lastUser) return;
+  const pinning = !state.pinnedMessageIds.has(lastUser.id);
+  togglePin(lastUser.id);
+  showShortcutNotice(pinning ? 'Pinned last message' : 'Unpinned last message');
+}
 
-  const formattedText = `${text}\n\n---\n`;
-  input.focus();
-  if (input.hasAttribute('contenteditable')) {
-    input.textContent = '';
-    const selection = window.getSelection();
-    if (selection) {
-      const range = document.createRange();
-      range.selectNodeContents(input);
-      range.collapse(true);
-      selection.removeAllRanges();
-      selection.addRange(range);
-    }
-    if (document.queryCommandSupported && document.queryCommandSupported('insertText')) {
-      document.execCommand('insertText', false, formattedText);
-    } else {
-      input.textContent = formattedText;
-    }
-    input.dispatchEvent(new InputEvent('input', { bubbles: true, data: formattedText, inputType: 'insertText' }));
-  } else {
-    input.value = formattedText;
-    input.dispatchEvent(new Event('input', { bubbles: true }));
-  }
-  return true;
+function applyOrbVisibility() {
+  const hud = document.getElementById('claude-health-bar-hud');
+  if (!hud) return;
+  hud.classList.toggle('health-orb-open', state.panelOpen);
+  hud.style.display = state.orbHidden ? 'none' : '';
 }
 
-function tryApplyHandoff(messages) {
-  if (state.handoffApplied) return;
-  const handoff = loadHandoff();
-  if (!handoff) return;
+/**
+ * Short confirmation near the orb for shortcuts with no other visible effect
+ */
+function showShortcutNotice(text) {
+  let notice = document.getElementById('claude-health-bar-notice');
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.id = 'claude-health-bar-notice';
+    notice.className = 'health-bar-notice';
+    document.body.appendChild(notice);
+  }
+  notice.textContent = text;
+  notice.style.display = 'block';
+  clearTimeout(state.noticeTimer);
+  state.noticeTimer = setTimeout(() => {
+    notice.style.display = 'none';
+  }, 1500);
+}
 
-  const hasUserMessages = messages.some(msg => msg.role === 'user' && !msg.isDraft);
-  if (hasUserMessages) return;
+// ============================================================================
+// EXTENSION MESSAGES
+// ============================================================================
 
-  const attemptApply = () => {
-    const applied = setDraftInputText(handoff.packet);
-    if (applied) {
-      clearHandoff();
-      state.handoffApplied = true;
-      if (state.handoffApplyTimer) {
-        clearInterval(state.handoffApplyTimer);
-        state.handoffApplyTimer = null;
-      }
-    }
+/**
+ * Snapshot of the current tab for the toolbar popup
+ */
+function getStatusSnapshot() {
+  const healthData = state.lastHealthData;
+  return {
+    conversationId: state.conversationId,
+    title: getConversationTitle(),
+    health: healthData ? healthData.health : null,
+    tier: healthData ? healthData.tier : null,
+    reasons: healthData ? healthData.reasons : [],
+    messageCount: healthData ? healthData.debugStats.messageCount : 0,
+    totalTokens: healthData ? healthData.debugStats.totalTokens : 0,
+    windowUsedTokens: healthData ? getWindowUsedTokens(healthData.debugStats) : 0,
+    contextWindow: healthData ? healthData.debugStats.contextWindow : null,
+    projection: state.projection,
+    pinnedCount: state.pinnedMessageIds.size,
+    pendingHandoffs: loadPendingHandoffs().length
   };
+}
 
-  if (!state.handoffApplyTimer) {
-    let attempts = 0;
-    state.handoffApplyTimer = setInterval(() => {
-      attempts += 1;
-      if (attempts > 20) {
-        clearInterval(state.handoffApplyTimer);
-        state.handoffApplyTimer = null;
-        return;
-      }
-      attemptApply();
-    }, 500);
+/**
+ * Requests from the popup. Clipboard writes happen in the popup, which
+ * has focus; the page only builds the packet.
+ */
+function handleExtensionMessage(message, sender, sendResponse) {
+  const hasMessages = Boolean(state.messages && state.messages.length > 0);
+  switch (message?.type) {
+    case 'getStatus':
+      sendResponse(getStatusSnapshot());
+      break;
+    case 'getHandoffPacket':
+      sendResponse({ packet: hasMessages ? buildHandoffPacket(state.messages) : null });
+      break;
+    case 'startHandoff':
+      startHandoff();
+      sendResponse({ ok: hasMessages });
+      break;
+    case 'reinforce':
+      sendResponse({ ok: Boolean(reinforceInstructions()) });
+      break;
+    case 'export':
+      exportConversation(message.format || state.settings.exportFormat);
+      sendResponse({ ok: hasMessages });
+      break;
+    case 'openInbox':
+      openHandoffInbox();
+      sendResponse({ ok: true });
+      break;
+    case 'command':
+      runShortcutCommand(message.command);
+      sendResponse({ ok: true });
+      break;
+    default:
+      break;
   }
-  attemptApply();
 }
 
 // ============================================================================
@@ -1035,7 +5484,15 @@ function tryApplyHandoff(messages) {
  */
 function updateHealthBar() {
   // Parse conversation
-  const { messages, totalTokens, totalCharsFromMessages, visibleChars } = parseConversation();
+  const parsed = parseConversation();
+  const { messages, totalTokens, totalCharsFromMessages, visibleChars, contextWindow, attachments, tokenizer } = parsed;
+
+  // Keep the committed score while Claude is writing; only the projection moves
+  state.streaming = parsed.streaming;
+  if (state.streaming) {
+    renderProjection(projectHealth(parsed));
+    return;
+  }
 
   if (messages.length === 0) {
     const totalCharsForPenalty = Math.max(totalCharsFromMessages, visibleChars);
@@ -1043,54 +5500,155 @@ function updateHealthBar() {
       health: 100,
       tier: 'stable',
       reasons: [],
+      breakdown: [],
       hasUserMessages: false,
       debugStats: {
         totalChars: totalCharsForPenalty,
-        totalTokens: Math.max(totalTokens, Math.ceil(totalCharsForPenalty / CONFIG.CHARS_PER_TOKEN)),
-        messageCount: 0
+        totalTokens: Math.max(totalTokens, estimateTokensFromChars(totalCharsForPenalty)),
+        messageCount: 0,
+        contextWindow,
+        tokenizer
       }
     };
     renderHUD(healthData);
+    renderProjection(null);
     tryApplyHandoff(messages);
     return; // No conversation yet
   }
 
   state.messages = messages;
 
+  // Link a fresh chat to its parent, then pin the handoff message if pins
+  // are being carried from the parent chat
+  confirmPendingLineage(messages);
+  applyCarriedPins(messages);
+
   // Detect instructions
-  const instructionIndices = detectInstructions(messages);
+  const instructions = detectInstructions(messages);
+  state.instructions = instructions;
+  state.instructionIndices = instructions.map(instruction => instruction.index);
 
   // Calculate health
   const totalCharsForPenalty = Math.max(totalCharsFromMessages, visibleChars);
-  const healthData = calculateHealth(messages, totalTokens, instructionIndices, totalCharsForPenalty);
+  const healthData = calculateHealth(messages, totalTokens, instructions, totalCharsForPenalty, contextWindow, attachments);
+  healthData.debugStats.tokenizer = tokenizer;
+
+  state.lastHealthData = healthData;
+
+  // Record this turn in the health timeline
+  recordHealthHistory(messages, healthData);
 
   // Render HUD
   renderHUD(healthData);
+  // With a draft pending, project the reply it will get
+  renderProjection(projectHealth(parsed));
 
   // Inject pin icons
   injectPinIcons();
 
+  // Draw the per-message token heatmap (if enabled)
+  renderHeatmap(messages, totalTokens);
+
+  // Highlight replies that look like they break instructions
+  markDriftViolations(messages, healthData.drift);
+
+  // Outline replies that repeat or loop back on earlier ones
+  markLoopMessages(messages, healthData.loops);
+
   // Apply pending handoff if present
   tryApplyHandoff(messages);
+
+  updateLineageTitle();
 }
 
 /**
  * Debounced update function
  */
 function scheduleUpdate() {
+  // While streaming, updates run on the poll interval instead of debouncing
+  if (state.streaming && state.updateTimer) return;
   if (state.updateTimer) {
     clearTimeout(state.updateTimer);
   }
 
-  state.updateTimer = setTimeout(() => {
-    updateHealthBar();
-  }, CONFIG.DEBOUNCE_MS);
+  state.updateTimer = setTimeout(runScheduledUpdate, CONFIG.DEBOUNCE_MS);
+}
+
+/**
+ * While Claude is still writing a reply, keep polling so the projection
+ * follows it; the reply is scored once it finishes
+ */
+function runScheduledUpdate() {
+  state.updateTimer = null;
+  updateHealthBar();
+  if (state.streaming) {
+    state.updateTimer = setTimeout(runScheduledUpdate, CONFIG.STREAMING_POLL_MS);
+  }
+}
+
+function isResponseStreaming() {
+  return CONFIG.STREAMING_SELECTORS.some(selector => document.querySelector(selector));
+}
+
+function isStreamingElement(element) {
+  return CONFIG.STREAMING_SELECTORS.some(selector => element.closest(selector) || element.querySelector(selector));
 }
 
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 
+/**
+ * Watch the conversation container rather than the whole page. Until
+ * there are two messages to find a common ancestor from, fall back to
+ * <main> (or the body).
+ */
+function observeConversation(messageElements = document.querySelectorAll(CONFIG.MESSAGE_SELECTOR)) {
+  if (!state.observer) return;
+  const elements = Array.from(messageElements);
+  const container = (elements.length > 1 && findCommonAncestor(elements)) ||
+    document.querySelector('main') || document.body;
+  if (container === state.observedContainer && container.isConnected) return;
+
+  state.observer.disconnect();
+  state.observer.observe(container, {
+    childList: true,
+    subtree: true,
+    characterData: true
+  });
+  state.observedContainer = container;
+}
+
+/**
+ * Mark changed messages for re-parsing and schedule an update. Changes to
+ * our own overlays are ignored so rendering doesn't trigger itself.
+ */
+function handleMutations(records) {
+  let relevant = false;
+  records.forEach((record) => {
+    if (isHealthBarNode(record.target)) return;
+    if (record.type === 'childList') {
+      const nodes = [...record.addedNodes, ...record.removedNodes];
+      if (nodes.length > 0 && nodes.every(isHealthBarNode)) return;
+    }
+    relevant = true;
+
+    const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+    const message = target?.closest(CONFIG.MESSAGE_SELECTOR);
+    if (message) {
+      markMessageDirty(message);
+    } else {
+      state.visibleCharsDirty = true;
+    }
+  });
+  if (relevant) scheduleUpdate();
+}
+
+function isHealthBarNode(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return Boolean(element?.closest('[data-healthbar-ui], [id^="claude-health-bar"]'));
+}
+
 /**
  * Extract conversation ID from URL or generate one
  */
@@ -1101,7 +5659,7 @@ function getConversationId() {
 }
 
 function countMessageElements() {
-  return document.querySelectorAll('[data-testid^="user-message"], [data-testid^="assistant-message"]').length;
+  return document.querySelectorAll(CONFIG.MESSAGE_SELECTOR).length;
 }
 
 function getScrollContainer() {
@@ -1166,32 +5724,34 @@ function startAutoLoadHistory() {
  */
 function initialize() {
   console.log('Context Health Bar initializing...');
+  initStorage().then(start);
+}
+
+function start() {
+  if (useExtensionStorage) {
+    chrome.runtime.onMessage.addListener(handleExtensionMessage);
+  }
 
   // Get conversation ID
   state.conversationId = getConversationId();
+  state.pathname = window.location.pathname;
 
-  // Load settings
+  // Load settings, scoring profiles and handoff templates
   loadSettings();
+  loadProfiles();
+  loadTemplates();
 
-  // Load pinned messages
+  // Load pinned messages and health history
   loadPinsFromStorage();
+  loadHistory();
 
   // Initial update
   updateHealthBar();
   startAutoLoadHistory();
 
-  // Watch for DOM changes
-  const observer = new MutationObserver(() => {
-    scheduleUpdate();
-  });
-
-  // Observe the main conversation container
-  const conversationContainer = document.body;
-  observer.observe(conversationContainer, {
-    childList: true,
-    subtree: true,
-    characterData: true
-  });
+  // Watch the conversation container for DOM changes
+  state.observer = new MutationObserver(handleMutations);
+  observeConversation();
 
   // Watch for input changes
   const checkInput = () => {
@@ -1210,6 +5770,7 @@ function initialize() {
 
   checkInput();
   setInterval(checkInput, 2000); // Re-check periodically in case input is recreated
+  setInterval(checkConversationChange, 1000);
 
   console.log('Context Health Bar initialized');
 }
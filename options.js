@@ -0,0 +1,449 @@
+/**
+ * Context Health Bar - Options Page
+ * Global settings, per-conversation data and full-state backup
+ */
+
+const BACKUP_FORMAT = 'context-health-bar-backup';
+
+// Built-in templates first; custom ones are added when the page renders
+const BUILTIN_TEMPLATES = Object.entries(BUILTIN_HANDOFF_TEMPLATES)
+  .map(([value, template]) => ({ value, label: template.label }));
+
+const SETTING_FIELDS = [
+  { key: 'autoLoadHistory', label: 'Auto-load history', type: 'checkbox' },
+  { key: 'showHeatmap', label: 'Token heatmap', type: 'checkbox' },
+  { key: 'alertThreshold', label: 'Alert when', options: SETTING_OPTIONS.alertThreshold },
+  { key: 'alertStyle', label: 'Alert style', options: SETTING_OPTIONS.alertStyle },
+  { key: 'alertSound', label: 'Alert sound', type: 'checkbox' },
+  { key: 'carryPins', label: 'Carry pins into handoff chats', type: 'checkbox' },
+  { key: 'syncStorage', label: 'Sync settings & pins across browsers', type: 'checkbox' },
+  { key: 'handoffRichness', label: 'Handoff detail', options: SETTING_OPTIONS.handoffRichness },
+  { key: 'handoffBudgetTokens', label: 'Handoff budget (tokens)', type: 'number', min: 200, step: 100 },
+  { key: 'handoffTemplate', label: 'Handoff template', options: [] },
+  { key: 'exportFormat', label: 'Export format', options: SETTING_OPTIONS.exportFormat },
+  { key: 'tokenizer', label: 'Token estimator', options: SETTING_OPTIONS.tokenizer },
+  { key: 'modelOverride', label: 'Model window', options: SETTING_OPTIONS.modelOverride }
+];
+
+let stored = {};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+function loadStored() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(null, (items) => {
+      stored = items || {};
+      resolve();
+    });
+  });
+}
+
+function getSettings() {
+  return { ...DEFAULT_SETTINGS, ...(stored[STORAGE_KEYS.SETTINGS] || {}) };
+}
+
+/**
+ * Write to local storage, mirroring settings and pins to sync when enabled.
+ * Open claude.ai tabs pick the change up through storage.onChanged.
+ */
+function writeKeys(items) {
+  Object.assign(stored, items);
+  return new Promise((resolve) => {
+    chrome.storage.local.set(items, () => {
+      if (getSettings().syncStorage) {
+        SYNC_KEYS.forEach((key) => {
+          if (key in items) writeSyncKey(key, items[key]);
+        });
+      }
+      resolve(!chrome.runtime.lastError);
+    });
+  });
+}
+
+/**
+ * Sync items are capped at 8 KB; keep the most recently pinned conversations
+ */
+function writeSyncKey(key, value) {
+  const synced = key === STORAGE_KEYS.PINS ? trimPinsForSync(value) : value;
+  chrome.storage.sync.set({ [key]: synced }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to sync:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+function setStatus(id, text) {
+  const element = document.getElementById(id);
+  element.textContent = text;
+  clearTimeout(element.clearTimer);
+  element.clearTimer = setTimeout(() => {
+    element.textContent = '';
+  }, 2500);
+}
+
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '-';
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+function getTemplateOptions() {
+  const custom = Object.keys(stored[STORAGE_KEYS.TEMPLATES] || {}).sort()
+    .map(name => ({ value: `custom:${name}`, label: name }));
+  return BUILTIN_TEMPLATES.concat(custom);
+}
+
+function createField(field, settings) {
+  const row = document.createElement('label');
+  row.className = 'options-setting';
+
+  let input;
+  if (field.type === 'checkbox') {
+    input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = Boolean(settings[field.key]);
+  } else if (field.type === 'number') {
+    input = document.createElement('input');
+    input.type = 'number';
+    input.min = field.min;
+    input.step = field.step;
+    input.value = settings[field.key];
+  } else {
+    input = document.createElement('select');
+    const options = field.key === 'handoffTemplate' ? getTemplateOptions() : field.options;
+    options.forEach((option) => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      input.appendChild(element);
+    });
+    input.value = settings[field.key];
+  }
+
+  input.addEventListener('change', async () => {
+    // Re-read first; a chat tab may have changed other settings since
+    await loadStored();
+    const next = getSettings();
+    if (field.type === 'checkbox') {
+      next[field.key] = input.checked;
+    } else if (field.type === 'number') {
+      next[field.key] = Number(input.value);
+    } else {
+      next[field.key] = input.value;
+    }
+    await writeKeys({ [STORAGE_KEYS.SETTINGS]: next });
+    // Turning sync on pushes the current pins too
+    if (field.key === 'syncStorage' && next.syncStorage) {
+      writeSyncKey(STORAGE_KEYS.PINS, stored[STORAGE_KEYS.PINS] || {});
+    }
+    setStatus('settings-status', 'Saved');
+  });
+
+  const label = document.createElement('span');
+  label.textContent = field.label;
+  if (field.type === 'checkbox') {
+    row.appendChild(input);
+    row.appendChild(label);
+  } else {
+    row.appendChild(label);
+    row.appendChild(input);
+  }
+  return row;
+}
+
+/**
+ * Scoring profiles are edited in the page; here the active one can be switched
+ */
+function createProfileField() {
+  const data = stored[STORAGE_KEYS.PROFILES] || {};
+  const names = Object.keys(data.profiles || {}).sort();
+  const row = document.createElement('label');
+  row.className = 'options-setting';
+
+  const label = document.createElement('span');
+  label.textContent = 'Scoring profile';
+  const select = document.createElement('select');
+  [{ value: '', label: 'Current values' }]
+    .concat(names.map(name => ({ value: name, label: name })))
+    .forEach((option) => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+  select.value = data.active && names.includes(data.active) ? data.active : '';
+
+  select.addEventListener('change', async () => {
+    await loadStored();
+    const next = { ...(stored[STORAGE_KEYS.PROFILES] || {}) };
+    next.active = select.value || null;
+    if (next.active) next.current = next.profiles[next.active];
+    await writeKeys({ [STORAGE_KEYS.PROFILES]: next });
+    setStatus('settings-status', 'Saved');
+  });
+
+  row.appendChild(label);
+  row.appendChild(select);
+  return row;
+}
+
+function renderSettings() {
+  const form = document.getElementById('options-settings');
+  const settings = getSettings();
+  form.innerHTML = '';
+  SETTING_FIELDS.forEach(field => form.appendChild(createField(field, settings)));
+  form.appendChild(createProfileField());
+}
+
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+function renderShortcuts() {
+  const list = document.getElementById('options-shortcuts');
+  chrome.commands.getAll((commands) => {
+    list.innerHTML = '';
+    commands.filter(command => command.name !== '_execute_action').forEach((command) => {
+      const item = document.createElement('li');
+      const key = document.createElement('kbd');
+      key.textContent = command.shortcut || 'Not set';
+      item.appendChild(key);
+      item.appendChild(document.createTextNode(` ${command.description}`));
+      list.appendChild(item);
+    });
+  });
+}
+
+// ============================================================================
+// CONVERSATIONS
+// ============================================================================
+
+function listConversations() {
+  const history = stored[STORAGE_KEYS.HISTORY] || {};
+  const pins = stored[STORAGE_KEYS.PINS] || {};
+  const lineage = stored[STORAGE_KEYS.LINEAGE] || {};
+  const pinned = Object.keys(pins).filter(id => getPinnedIds(pins[id]).length > 0);
+  const ids = new Set([...Object.keys(history), ...pinned, ...Object.keys(lineage)]);
+
+  return Array.from(ids).map((id) => {
+    const entries = history[id]?.entries || [];
+    const last = entries[entries.length - 1];
+    return {
+      id,
+      title: lineage[id]?.title || '',
+      updatedAt: Math.max(history[id]?.updatedAt || 0, lineage[id]?.updatedAt || 0),
+      health: last ? last.health : null,
+      tier: last ? last.tier : null,
+      pins: getPinnedIds(pins[id]).length,
+      historyEntries: entries.length
+    };
+  }).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function getConversationData(id) {
+  return {
+    conversationId: id,
+    url: `https://claude.ai/chat/${id}`,
+    pinnedMessageIds: getPinnedIds((stored[STORAGE_KEYS.PINS] || {})[id]),
+    history: (stored[STORAGE_KEYS.HISTORY] || {})[id]?.entries || [],
+    lineage: (stored[STORAGE_KEYS.LINEAGE] || {})[id] || null
+  };
+}
+
+/**
+ * Remove pins, health history and alert snoozes. Lineage links are kept so
+ * handoff chains stay intact. Pins leave an empty, dated entry so the
+ * removal wins over copies synced from other browsers.
+ */
+async function clearConversation(id) {
+  // Re-read first; open claude.ai tabs may have written since the page loaded
+  await loadStored();
+  const pins = { ...(stored[STORAGE_KEYS.PINS] || {}) };
+  const history = { ...(stored[STORAGE_KEYS.HISTORY] || {}) };
+  const snoozes = { ...(stored[STORAGE_KEYS.SNOOZE] || {}) };
+  pins[id] = { ids: [], updatedAt: Date.now() };
+  delete history[id];
+  delete snoozes[id];
+  await writeKeys({
+    [STORAGE_KEYS.PINS]: pins,
+    [STORAGE_KEYS.HISTORY]: history,
+    [STORAGE_KEYS.SNOOZE]: snoozes
+  });
+}
+
+function createButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderConversations() {
+  const body = document.getElementById('options-conversations');
+  const detail = document.getElementById('options-detail');
+  body.innerHTML = '';
+  detail.style.display = 'none';
+
+  const conversations = listConversations();
+  if (conversations.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.className = 'options-hint';
+    cell.textContent = 'No stored conversations yet.';
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  conversations.forEach((conversation) => {
+    const row = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = `https://claude.ai/chat/${conversation.id}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = conversation.title || conversation.id.slice(0, 8);
+    link.title = conversation.id;
+    nameCell.appendChild(link);
+
+    const healthCell = document.createElement('td');
+    healthCell.textContent = conversation.health === null ? '-' : `${conversation.health}%`;
+    if (conversation.tier) healthCell.className = `tier-${conversation.tier}`;
+
+    const cells = [
+      nameCell,
+      Object.assign(document.createElement('td'), { textContent: formatDate(conversation.updatedAt) }),
+      healthCell,
+      Object.assign(document.createElement('td'), { textContent: String(conversation.pins) }),
+      Object.assign(document.createElement('td'), { textContent: String(conversation.historyEntries) })
+    ];
+
+    const actions = document.createElement('td');
+    actions.className = 'options-row';
+    actions.appendChild(createButton('View', () => {
+      detail.textContent = JSON.stringify(getConversationData(conversation.id), null, 2);
+      detail.style.display = 'block';
+    }));
+    actions.appendChild(createButton('Export', () => {
+      downloadJson(`claude-${conversation.id}-health.json`, getConversationData(conversation.id));
+    }));
+    actions.appendChild(createButton('Clear', async () => {
+      if (!confirm('Remove pins and health history for this conversation?')) return;
+      await clearConversation(conversation.id);
+      renderConversations();
+    }));
+    cells.push(actions);
+
+    cells.forEach(cell => row.appendChild(cell));
+    body.appendChild(row);
+  });
+}
+
+// ============================================================================
+// BACKUP
+// ============================================================================
+
+function exportAll() {
+  const data = {};
+  Object.keys(stored).forEach((key) => {
+    if (key.startsWith(STORAGE_KEY_PREFIX) && key !== STORAGE_KEYS.MIGRATED) data[key] = stored[key];
+  });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  downloadJson(`context-health-bar-backup-${stamp}.json`, {
+    format: BACKUP_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    data
+  });
+  setStatus('backup-status', 'Exported');
+}
+
+/**
+ * Replace all extension data with a backup file's contents
+ */
+async function importAll(file) {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (e) {
+    setStatus('backup-status', 'Not a valid JSON file');
+    return;
+  }
+  if (backup?.format !== BACKUP_FORMAT || !backup.data || typeof backup.data !== 'object') {
+    setStatus('backup-status', 'Not a Context Health Bar backup');
+    return;
+  }
+
+  const data = {};
+  Object.entries(backup.data).forEach(([key, value]) => {
+    if (key.startsWith(STORAGE_KEY_PREFIX) && key !== STORAGE_KEYS.MIGRATED) data[key] = value;
+  });
+  if (!confirm(`Replace all current data with this backup (${Object.keys(data).length} items)?`)) return;
+
+  const existing = Object.keys(stored)
+    .filter(key => key.startsWith(STORAGE_KEY_PREFIX) && key !== STORAGE_KEYS.MIGRATED);
+  await new Promise(resolve => chrome.storage.local.remove(existing, resolve));
+  await writeKeys({ ...data, [STORAGE_KEYS.MIGRATED]: stored[STORAGE_KEYS.MIGRATED] || Date.now() });
+  await loadStored();
+  renderSettings();
+  renderConversations();
+  setStatus('backup-status', 'Imported');
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+async function initialize() {
+  await loadStored();
+  renderSettings();
+  renderShortcuts();
+  renderConversations();
+
+  // Chrome only lets users rebind extension shortcuts on its own page
+  document.getElementById('options-edit-shortcuts').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  const fileInput = document.getElementById('options-import-file');
+  document.getElementById('options-export').addEventListener('click', exportAll);
+  document.getElementById('options-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) importAll(fileInput.files[0]);
+    fileInput.value = '';
+  });
+
+  // Keep the list current while chats are open in other tabs, and pick up
+  // settings changed from a chat so saving here doesn't write them back
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+    const has = keys => keys.some(key => key in changes);
+    const settingsChanged = has([STORAGE_KEYS.SETTINGS, STORAGE_KEYS.PROFILES, STORAGE_KEYS.TEMPLATES]);
+    const conversationsChanged = has([STORAGE_KEYS.HISTORY, STORAGE_KEYS.PINS, STORAGE_KEYS.LINEAGE]);
+    if (!settingsChanged && !conversationsChanged) return;
+    await loadStored();
+    if (settingsChanged) renderSettings();
+    if (conversationsChanged && document.getElementById('options-detail').style.display !== 'block') {
+      renderConversations();
+    }
+  });
+}
+
+initialize();
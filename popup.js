@@ -0,0 +1,136 @@
+/**
+ * Context Health Bar - Toolbar Popup
+ * Shows the active tab's health and relays quick actions to the content script
+ */
+
+const CLAUDE_URL_PATTERN = /^https:\/\/claude\.ai\//;
+
+let activeTabId = null;
+
+function setStatus(text) {
+  document.getElementById('popup-status').textContent = text || '';
+}
+
+function sendToTab(message) {
+  return new Promise((resolve) => {
+    if (activeTabId === null) {
+      resolve(null);
+      return;
+    }
+    chrome.tabs.sendMessage(activeTabId, message, (response) => {
+      // No content script in this tab (e.g. it was open before install)
+      if (chrome.runtime.lastError) {
+        resolve(null);
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function renderUnavailable(text) {
+  document.getElementById('popup-orb').textContent = '--';
+  document.getElementById('popup-title').textContent = 'Context Health';
+  document.getElementById('popup-meta').textContent = text;
+  document.getElementById('popup-actions').style.display = 'none';
+}
+
+function renderStatus(status) {
+  const orb = document.getElementById('popup-orb');
+  const meta = document.getElementById('popup-meta');
+  const reasons = document.getElementById('popup-reasons');
+
+  if (status.health === null) {
+    renderUnavailable('Waiting for the conversation to load.');
+    return;
+  }
+
+  orb.textContent = `${status.health}%`;
+  orb.className = `popup-orb tier-${status.tier}`;
+  document.getElementById('popup-title').textContent = status.title || 'Untitled chat';
+
+  const parts = [
+    `${status.messageCount} messages`,
+    `${formatCount(status.totalTokens || 0)} tokens`
+  ];
+  if (status.contextWindow) {
+    const used = Math.round((status.windowUsedTokens / status.contextWindow.tokens) * 100);
+    parts.push(`${used}% of ${status.contextWindow.label}`);
+  }
+  if (status.pinnedCount > 0) parts.push(`${status.pinnedCount} pinned`);
+  if (status.projection && status.projection.health < status.health) {
+    parts.push(`heading to ${status.projection.health}%`);
+  }
+  meta.textContent = parts.join(' | ');
+
+  reasons.innerHTML = '';
+  status.reasons.slice(0, 4).forEach((reason) => {
+    const item = document.createElement('li');
+    item.textContent = reason;
+    reasons.appendChild(item);
+  });
+
+  const inbox = document.querySelector('[data-action="openInbox"]');
+  inbox.textContent = status.pendingHandoffs > 0
+    ? `Handoff inbox (${status.pendingHandoffs})`
+    : 'Handoff inbox';
+}
+
+async function copyHandoff() {
+  const response = await sendToTab({ type: 'getHandoffPacket' });
+  if (!response?.packet) {
+    setStatus('Nothing to copy yet.');
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(`${response.packet}\n\n---\n`);
+    setStatus('Handoff copied.');
+  } catch (e) {
+    setStatus('Copy failed.');
+  }
+}
+
+async function runAction(action) {
+  if (action === 'copy') {
+    await copyHandoff();
+    return;
+  }
+
+  const response = await sendToTab({ type: action });
+  if (!response?.ok) {
+    setStatus(action === 'reinforce'
+      ? 'Clear the message box to insert the reminder.'
+      : 'Nothing to do in this chat yet.');
+    return;
+  }
+  // Refresh and inbox open UI in the page
+  if (action === 'startHandoff' || action === 'openInbox') window.close();
+  setStatus(action === 'reinforce' ? 'Reminder inserted.' : 'Export started.');
+}
+
+async function initialize() {
+  document.getElementById('popup-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+
+  document.querySelectorAll('[data-action]').forEach((button) => {
+    button.addEventListener('click', () => runAction(button.getAttribute('data-action')));
+  });
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !CLAUDE_URL_PATTERN.test(tab.url || '')) {
+    renderUnavailable('Open a conversation on claude.ai to see its health.');
+    return;
+  }
+
+  activeTabId = tab.id;
+  const status = await sendToTab({ type: 'getStatus' });
+  if (!status) {
+    renderUnavailable('Reload the claude.ai tab to connect.');
+    return;
+  }
+  renderStatus(status);
+}
+
+initialize();
@@ -20,8 +20,15 @@ New-Item -ItemType Directory -Path $temp | Out-Null
 
 $include = @(
   "manifest.json",
+  "shared.js",
   "content.js",
+  "background.js",
   "healthbar.css",
+  "popup.html",
+  "popup.js",
+  "options.html",
+  "options.js",
+  "pages.css",
   "icons",
   "README.md",
   "LICENSE"
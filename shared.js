@@ -0,0 +1,270 @@
+/**
+ * Context Health Bar - Shared definitions
+ * Loaded ahead of content.js, popup.js and options.js so storage keys,
+ * setting defaults, option lists and the pin format are defined once
+ */
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+const STORAGE_KEY_PREFIX = 'claude_healthbar_';
+
+const STORAGE_KEYS = {
+  PINS: 'claude_healthbar_pins',
+  HANDOFF: 'claude_healthbar_handoff',
+  HANDOFF_HISTORY: 'claude_healthbar_handoff_history',
+  SETTINGS: 'claude_healthbar_settings',
+  PROFILES: 'claude_healthbar_profiles',
+  HISTORY: 'claude_healthbar_history',
+  SNOOZE: 'claude_healthbar_alert_snooze',
+  TEMPLATES: 'claude_healthbar_templates',
+  LINEAGE: 'claude_healthbar_lineage',
+  LINEAGE_PENDING: 'claude_healthbar_lineage_pending',
+  MIGRATED: 'claude_healthbar_migrated'
+};
+
+// Settings and pins are mirrored to chrome.storage.sync when enabled;
+// sync caps each item at 8 KB
+const SYNC_KEYS = [STORAGE_KEYS.SETTINGS, STORAGE_KEYS.PINS];
+const SYNC_MAX_ITEM_BYTES = 8000;
+
+function estimateStoredBytes(key, value) {
+  return key.length + JSON.stringify(value).length;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Compact count for tokens and chars (e.g. 950, 42k, 1.20M)
+ */
+function formatCount(value) {
+  if (value >= 1000000) {
+    return `${(value / 1000000).toFixed(2)}M`;
+  }
+  if (value >= 1000) {
+    return `${Math.round(value / 1000)}k`;
+  }
+  return `${value}`;
+}
+
+// ============================================================================
+// PINS
+// ============================================================================
+
+/**
+ * Pins are stored per conversation as { ids, updatedAt }; older versions
+ * stored a bare array (treated as never updated)
+ */
+function getPinnedIds(entry) {
+  return Array.isArray(entry) ? entry : (entry?.ids || []);
+}
+
+function getPinUpdatedAt(entry) {
+  return Array.isArray(entry) ? 0 : (entry?.updatedAt || 0);
+}
+
+/**
+ * Merge pin maps from two sources: the newer entry wins per conversation,
+ * so an unpin (an empty, dated entry) beats an older list elsewhere
+ */
+function mergePinStores(local, remote) {
+  const merged = { ...(local || {}) };
+  Object.entries(remote || {}).forEach(([id, entry]) => {
+    if (!merged[id] || getPinUpdatedAt(entry) > getPinUpdatedAt(merged[id])) {
+      merged[id] = entry;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Copy of a pin map that fits one sync item, keeping the most recently
+ * pinned conversations
+ */
+function trimPinsForSync(pins) {
+  const trimmed = { ...(pins || {}) };
+  const ids = Object.keys(trimmed).sort((a, b) => getPinUpdatedAt(trimmed[a]) - getPinUpdatedAt(trimmed[b]));
+  while (ids.length > 0 && estimateStoredBytes(STORAGE_KEYS.PINS, trimmed) > SYNC_MAX_ITEM_BYTES) {
+    delete trimmed[ids.shift()];
+  }
+  return trimmed;
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+// Context windows by model; patterns match the model picker label
+const MODEL_CONTEXT_WINDOWS = [
+  { id: 'sonnet-1m', label: 'Claude Sonnet (1M)', pattern: /sonnet.*\b1m\b/i, tokens: 1000000 },
+  { id: 'enterprise', label: 'Enterprise (500k)', pattern: null, tokens: 500000 },
+  { id: 'opus', label: 'Claude Opus', pattern: /opus/i, tokens: 200000 },
+  { id: 'sonnet', label: 'Claude Sonnet', pattern: /sonnet/i, tokens: 200000 },
+  { id: 'haiku', label: 'Claude Haiku', pattern: /haiku/i, tokens: 200000 }
+];
+
+const DEFAULT_SETTINGS = {
+  autoLoadHistory: true,
+  handoffRichness: 'rich',
+  handoffTemplate: 'default',
+  handoffBudgetTokens: 2000,
+  modelOverride: 'auto',
+  exportFormat: 'markdown',
+  tokenizer: 'bpe',
+  showHeatmap: false,
+  alertThreshold: 'off',
+  alertStyle: 'banner',
+  alertSound: false,
+  carryPins: true,
+  syncStorage: false
+};
+
+// Choices for the select settings, shared by the page panel and options page
+const SETTING_OPTIONS = {
+  alertThreshold: [
+    { value: 'off', label: 'Off' },
+    { value: 'degrading', label: 'Below stable' },
+    { value: 'unreliable', label: 'Unreliable' },
+    { value: 'critical', label: 'Critical' },
+    { value: 'handoff', label: 'Refresh threshold' }
+  ],
+  alertStyle: [
+    { value: 'banner', label: 'Banner' },
+    { value: 'toast', label: 'Toast' }
+  ],
+  handoffRichness: [
+    { value: 'compact', label: 'Compact' },
+    { value: 'standard', label: 'Standard' },
+    { value: 'rich', label: 'Rich' },
+    { value: 'budget', label: 'Token budget' }
+  ],
+  exportFormat: [
+    { value: 'markdown', label: 'Markdown' },
+    { value: 'json', label: 'JSON' }
+  ],
+  tokenizer: [
+    { value: 'bpe', label: 'Offline BPE estimate' },
+    { value: 'chars', label: 'Chars / 4' }
+  ],
+  modelOverride: [{ value: 'auto', label: 'Auto-detect' }]
+    .concat(MODEL_CONTEXT_WINDOWS.map(entry => ({ value: entry.id, label: entry.label })))
+};
+
+function getSettingOptionLabel(key, value) {
+  return (SETTING_OPTIONS[key] || []).find(option => option.value === value)?.label || value;
+}
+
+// ============================================================================
+// HANDOFF TEMPLATES
+// ============================================================================
+
+const BUILTIN_HANDOFF_TEMPLATES = {
+  default: {
+    label: 'Standard',
+    body: [
+      '# Context handoff from previous chat',
+      '',
+      '{{#if original_request}}',
+      '## Original request:',
+      '{{original_request}}',
+      '{{/if}}',
+      '',
+      '{{#if pinned}}',
+      '### Pinned instructions:',
+      '{{#each pinned}}',
+      '- **{{role}}:** {{text}}',
+      '{{/each}}',
+      '{{/if}}',
+      '',
+      '{{#if salient}}',
+      '### Key highlights:',
+      '{{salient}}',
+      '{{/if}}',
+      '',
+      '{{#if focus}}',
+      '### Current focus:',
+      '{{focus}}',
+      '{{/if}}',
+      '',
+      '{{#if artifacts}}',
+      '### Artifacts:',
+      '{{artifacts}}',
+      '{{/if}}',
+      '',
+      '{{#if recent}}',
+      '### Recent exchange:',
+      '{{recent}}',
+      '{{/if}}',
+      '',
+      'Please continue from this context.'
+    ].join('\n')
+  },
+  'code-review': {
+    label: 'Code review',
+    body: [
+      '# Code review handoff',
+      '',
+      'We are continuing a code review from a previous chat ({{stats}}).',
+      '',
+      '{{#if pinned}}',
+      '## Rules to follow',
+      '{{#each pinned}}',
+      '- {{text}}',
+      '{{/each}}',
+      '{{/if}}',
+      '',
+      '{{#if original_request}}',
+      '## What is being reviewed',
+      '{{original_request}}',
+      '{{/if}}',
+      '',
+      '{{#if salient}}',
+      '## Findings so far',
+      '{{salient}}',
+      '{{/if}}',
+      '',
+      '{{#if artifacts}}',
+      '## Latest code',
+      '{{artifacts}}',
+      '{{/if}}',
+      '',
+      '## Where we left off',
+      '{{#if focus}}{{focus}}{{else}}(no open question){{/if}}',
+      '',
+      'Continue the review from here. Do not repeat findings already listed.'
+    ].join('\n')
+  },
+  writing: {
+    label: 'Writing',
+    body: [
+      '# Writing session handoff',
+      '',
+      '{{#if pinned}}',
+      '## Style and voice',
+      '{{#each pinned}}',
+      '- {{text}}',
+      '{{/each}}',
+      '{{/if}}',
+      '',
+      '{{#if original_request}}',
+      '## The piece',
+      '{{original_request}}',
+      '{{/if}}',
+      '',
+      '{{#if recent}}',
+      '## Latest drafts and feedback',
+      '{{recent}}',
+      '{{/if}}',
+      '',
+      '{{#if focus}}',
+      '## Next step',
+      '{{focus}}',
+      '{{/if}}',
+      '',
+      'Keep the same voice and pick up where we left off.'
+    ].join('\n')
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Token-budgeted handoff packing.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScript } = require('./sandbox');
+
+const sandbox = loadContentScript();
+const { buildHandoffPacket, countTokens } = sandbox;
+
+const PROSE = [
+  'We need the importer to keep working when the CSV has quoted newlines inside a field.',
+  'Important: never drop rows silently, log every skipped line with its number.',
+  'The parser currently splits on \\n before it looks at quotes, which breaks multi-line cells.',
+  'Could you also make the delimiter configurable? Some exports use semicolons.'
+];
+
+function codeBlock(lines, seed) {
+  const body = Array.from({ length: lines }, (_, i) => `  const value${seed}_${i} = parseCell(row[${i}], options);`);
+  return `\`\`\`js\nfunction parseRow${seed}(row, options) {\n${body.join('\n')}\n}\n\`\`\``;
+}
+
+function buildMessages(count) {
+  const messages = [];
+  for (let i = 0; i < count; i++) {
+    const role = i % 2 === 0 ? 'user' : 'assistant';
+    const prose = PROSE[i % PROSE.length].repeat(1 + (i % 3));
+    const text = role === 'assistant' && i % 4 === 1 ? `${prose}\n\n${codeBlock(10 + i * 3, i)}` : prose;
+    messages.push({ id: `m${i}`, role, text, tokens: countTokens(text) });
+  }
+  return messages;
+}
+
+function pack(messages, budget, template) {
+  sandbox.run(`state.settings = ${JSON.stringify({
+    handoffRichness: 'budget',
+    handoffBudgetTokens: budget,
+    handoffTemplate: template,
+    tokenizer: 'bpe'
+  })}; state.pinnedMessageIds = new Set(['m2']);`);
+  return buildHandoffPacket(messages);
+}
+
+// Long code replies: their token counts don't scale with a line-count cut
+function buildCodeChat(count) {
+  const messages = [];
+  for (let i = 0; i < count; i++) {
+    const role = i % 2 === 0 ? 'user' : 'assistant';
+    const text = role === 'assistant'
+      ? `Here you go.\n\n${codeBlock(20 + i * 5, i)}\n\nThat handles it.`
+      : 'Now fix the quoting in the parser please, it still breaks.';
+    messages.push({ id: `m${i}`, role, text, tokens: countTokens(text) });
+  }
+  return messages;
+}
+
+test('a packed handoff never exceeds its token budget', () => {
+  [buildMessages(30), buildCodeChat(30)].forEach((messages) => {
+    ['default', 'code-review', 'writing'].forEach((template) => {
+      [150, 250, 400, 800, 1500, 3000].forEach((budget) => {
+        const packet = pack(messages, budget, template);
+        const tokens = countTokens(packet);
+        assert.ok(tokens <= budget, `${template} @ ${budget}: ${tokens} tokens`);
+      });
+    });
+  });
+});
+
+test('a long original request does not crowd out salient and recent messages', () => {
+  const messages = buildMessages(30);
+  messages[0] = { ...messages[0], text: PROSE.join(' ').repeat(20) };
+  const packet = pack(messages, 600, 'default');
+  assert.ok(packet.includes('### Key highlights:') || packet.includes('### Recent exchange:'),
+    'salient and recent sections missing');
+  const original = packet.split('## Original request:')[1]?.split('###')[0] || '';
+  assert.ok(countTokens(original) <= 600 * 0.2 + 10, 'original request exceeded its share');
+});
+
+test('a short chat fits whole', () => {
+  const messages = buildMessages(4);
+  const packet = pack(messages, 3000, 'default');
+  assert.ok(countTokens(packet) <= 3000);
+  messages.forEach((msg) => {
+    assert.ok(packet.includes(msg.text.slice(0, 40)), `${msg.id} missing`);
+  });
+});
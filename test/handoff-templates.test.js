@@ -0,0 +1,67 @@
+/**
+ * Handoff template engine: placeholders, loops, conditionals and key lookup.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScript } = require('./sandbox');
+
+const sandbox = loadContentScript();
+const { renderTemplate } = sandbox;
+
+test('placeholders render scalars and lists', () => {
+  const output = renderTemplate('Health {{health}}\n{{pinned}}', {
+    health: 72,
+    pinned: [{ role: 'User', text: 'Use tabs' }, { role: 'Assistant', text: 'Noted' }]
+  });
+  assert.strictEqual(output, 'Health 72\n- **User:** Use tabs\n- **Assistant:** Noted');
+});
+
+test('each loops expose item fields and a 1-based index', () => {
+  const output = renderTemplate('{{#each recent}}{{index}}. {{role}}: {{text}}\n{{/each}}', {
+    recent: [{ role: 'User', text: 'a' }, { role: 'Assistant', text: 'b' }]
+  });
+  assert.strictEqual(output, '1. User: a\n2. Assistant: b');
+});
+
+test('outer values stay visible inside a loop', () => {
+  const output = renderTemplate('{{#each pinned}}{{tier}}:{{text}} {{/each}}', {
+    tier: 'stable',
+    pinned: [{ text: 'x' }]
+  });
+  assert.strictEqual(output, 'stable:x');
+});
+
+test('if/else picks a branch; empty strings, empty lists and 0 are false', () => {
+  const template = '{{#if value}}yes{{else}}no{{/if}}';
+  assert.strictEqual(renderTemplate(template, { value: 'text' }), 'yes');
+  assert.strictEqual(renderTemplate(template, { value: [1] }), 'yes');
+  assert.strictEqual(renderTemplate(template, { value: '' }), 'no');
+  assert.strictEqual(renderTemplate(template, { value: [] }), 'no');
+  assert.strictEqual(renderTemplate(template, { value: 0 }), 'no');
+  assert.strictEqual(renderTemplate(template, {}), 'no');
+});
+
+test('block tags alone on a line leave no blank lines', () => {
+  const output = renderTemplate('A\n{{#if focus}}\nfocus: {{focus}}\n{{/if}}\nB', { focus: 'x' });
+  assert.strictEqual(output, 'A\nfocus: x\nB');
+});
+
+test('prototype names are not looked up', () => {
+  const context = { focus: 'x' };
+  assert.strictEqual(renderTemplate('[{{constructor}}][{{toString}}][{{__proto__}}]', context), '[][][]');
+  assert.strictEqual(renderTemplate('{{#if constructor}}yes{{else}}no{{/if}}', context), 'no');
+  assert.strictEqual(renderTemplate('{{#each constructor}}x{{/each}}', context), '');
+});
+
+test('stored templates with reserved names are dropped on load', () => {
+  sandbox.run(`storageCache[CONFIG.TEMPLATES_KEY] =
+    JSON.parse('{"__proto__": "bad", "constructor": "bad", "Mine": "{{focus}}", "broken": 5}');
+    loadTemplates();`);
+  assert.deepStrictEqual([...sandbox.run('Object.keys(state.templates)')], ['Mine']);
+  assert.strictEqual(sandbox.run('Object.getPrototypeOf(state.templates) === Object.prototype'), true);
+  assert.strictEqual(sandbox.isValidTemplateName('__proto__'), false);
+  assert.strictEqual(sandbox.isValidTemplateName('Code review v2'), true);
+});
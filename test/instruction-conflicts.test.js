@@ -0,0 +1,64 @@
+/**
+ * Instruction conflict detection.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScript } = require('./sandbox');
+
+const { extractDirectives, detectInstructionConflicts } = loadContentScript();
+
+function instruction(index, text, source = 'auto') {
+  return { index, id: `m${index}`, source, directives: extractDirectives(text) };
+}
+
+test('tabs then spaces is flagged as a superseded pair', () => {
+  const conflicts = detectInstructionConflicts([
+    instruction(0, 'Please use tabs for indentation.'),
+    instruction(4, 'Actually, use 2 spaces instead.')
+  ]);
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].topic, 'indentation');
+  assert.strictEqual(conflicts[0].first.stance, 'tabs');
+  assert.strictEqual(conflicts[0].second.stance, 'spaces');
+  assert.strictEqual(conflicts[0].superseded, true);
+});
+
+test('brief then detailed is flagged', () => {
+  const conflicts = detectInstructionConflicts([
+    instruction(0, 'Be brief in your answers.'),
+    instruction(2, 'Now explain in detail how the cache works.')
+  ]);
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].topic, 'length');
+  assert.strictEqual(conflicts[0].first.stance, 'brief');
+  assert.strictEqual(conflicts[0].second.stance, 'detailed');
+});
+
+test('an older auto instruction followed by a newer pinned one is flagged', () => {
+  const conflicts = detectInstructionConflicts([
+    instruction(0, 'Use single quotes.'),
+    instruction(6, 'Use double quotes everywhere.', 'pinned')
+  ]);
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].superseded, true);
+});
+
+test('a pinned older instruction still conflicts in full', () => {
+  const conflicts = detectInstructionConflicts([
+    instruction(0, 'Use tabs.', 'pinned'),
+    instruction(3, 'Use spaces.')
+  ]);
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].superseded, false);
+});
+
+test('matching stances are not a conflict', () => {
+  const conflicts = detectInstructionConflicts([
+    instruction(0, 'Be concise.'),
+    instruction(2, 'Keep answers short.')
+  ]);
+  assert.strictEqual(conflicts.length, 0);
+});
@@ -0,0 +1,81 @@
+/**
+ * Instruction drift: rule extraction and scoring of recent replies.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScript } = require('./sandbox');
+
+const sandbox = loadContentScript();
+const { extractConstraints, checkConstraint, detectDrift } = sandbox;
+const CONFIG = sandbox.run('CONFIG');
+
+function chat(instruction, replies) {
+  const messages = [{ id: 'u0', role: 'user', text: instruction }];
+  replies.forEach((text, i) => {
+    messages.push({ id: `a${i}`, role: 'assistant', text });
+    messages.push({ id: `u${i + 1}`, role: 'user', text: 'Next one please.' });
+  });
+  return messages;
+}
+
+// Spread: arrays from the sandbox have a different prototype
+function types(messages) {
+  return [...extractConstraints(messages, [0]).map(constraint => `${constraint.type}:${constraint.value}`)];
+}
+
+test('explicit rules become constraints', () => {
+  const messages = chat('No emojis. Never use the word "utilize". Keep it under 100 words. Respond in Spanish.', []);
+  assert.deepStrictEqual(types(messages), [
+    'no-emoji:emoji',
+    'forbid-term:utilize',
+    'max-words:100',
+    'language:spanish'
+  ]);
+});
+
+test('a bare forbidden phrase is cut at filler words', () => {
+  const messages = chat("Don't use var in JavaScript examples.", []);
+  assert.deepStrictEqual(types(messages), ['forbid-term:var']);
+});
+
+test('each rule type flags only the replies that break it', () => {
+  const [noEmoji, forbid, maxWords] = extractConstraints(
+    chat('No emojis. Never use the word "utilize". Keep it under 10 words.', []), [0]);
+  assert.ok(checkConstraint(noEmoji, { text: 'Done 🎉' }));
+  assert.strictEqual(checkConstraint(noEmoji, { text: 'Done.' }), null);
+  assert.ok(checkConstraint(forbid, { text: 'We can utilize a cache.' }));
+  assert.strictEqual(checkConstraint(forbid, { text: 'We can use a cache; utilization is low.' }), null);
+  // A little slack over the word limit is allowed
+  assert.strictEqual(checkConstraint(maxWords, { text: 'one two three four five six seven eight nine ten eleven' }), null);
+  assert.ok(checkConstraint(maxWords, { text: 'word '.repeat(20) }));
+});
+
+test('only recent replies are scored, and the penalty is capped', () => {
+  const replies = Array.from({ length: 10 }, (_, i) => `Reply ${i} 🎉`);
+  const messages = chat('No emojis please.', replies);
+  const drift = detectDrift(messages, [0]);
+  assert.strictEqual(drift.violations.length, CONFIG.DRIFT_RECENT_ASSISTANT);
+  assert.strictEqual(drift.penalty, Math.min(CONFIG.DRIFT_MAX_PENALTY,
+    CONFIG.DRIFT_RECENT_ASSISTANT * CONFIG.DRIFT_PENALTY_PER_MESSAGE));
+});
+
+test('replies before a rule was given are not held to it', () => {
+  const messages = [
+    { id: 'u0', role: 'user', text: 'Hi there.' },
+    { id: 'a0', role: 'assistant', text: 'Hello 👋' },
+    { id: 'u1', role: 'user', text: 'From now on, no emojis.' },
+    { id: 'a1', role: 'assistant', text: 'Understood.' }
+  ];
+  const drift = detectDrift(messages, [2]);
+  assert.strictEqual(drift.violations.length, 0);
+  assert.strictEqual(drift.penalty, 0);
+});
+
+test('no rules means no penalty', () => {
+  const drift = detectDrift(chat('Help me plan a trip.', ['Sure 🎉']), [0]);
+  assert.strictEqual(drift.constraints.length, 0);
+  assert.strictEqual(drift.penalty, 0);
+});
@@ -0,0 +1,93 @@
+/**
+ * MinHash repeat, apology and code oscillation detection.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScript } = require('./sandbox');
+
+const sandbox = loadContentScript();
+const { detectLoops, minHashSignature, signatureSimilarity } = sandbox;
+const CONFIG = sandbox.run('CONFIG');
+
+const EXPLANATION = 'The error happens because the stream is closed before the last chunk is flushed, ' +
+  'so the writer drops whatever is still buffered. Awaiting the finish event before closing the ' +
+  'connection makes sure every chunk reaches the file and the checksum matches again.';
+
+let chatCount = 0;
+
+// Alternating user/assistant turns; replies are text or { text, code }
+function chat(replies) {
+  chatCount += 1;
+  const messages = [];
+  replies.forEach((reply, i) => {
+    const { text, code } = typeof reply === 'string' ? { text: reply } : reply;
+    messages.push({ id: `c${chatCount}-u${i}`, role: 'user', text: `Question ${i}` });
+    messages.push({
+      id: `c${chatCount}-a${i}`,
+      role: 'assistant',
+      text: code ? `${text}\n\n${code}` : text,
+      codeBlocks: code ? [{ language: 'js', code }] : []
+    });
+  });
+  return messages;
+}
+
+function codeVersion(name, lines) {
+  return Array.from({ length: lines }, (_, i) => `const ${name}${i} = await read${name}(stream, ${i});`).join('\n');
+}
+
+test('near-identical long text scores high, unrelated text low', () => {
+  const similar = signatureSimilarity(minHashSignature(EXPLANATION), minHashSignature(`${EXPLANATION} Hope that helps.`));
+  const unrelated = signatureSimilarity(minHashSignature(EXPLANATION),
+    minHashSignature('Paris is the capital of France and sits on the Seine, which flows to the English Channel.'));
+  assert.ok(similar > 0.8, `similar ${similar}`);
+  assert.ok(unrelated < 0.2, `unrelated ${unrelated}`);
+});
+
+test('prose below the shingle minimum has no signature', () => {
+  assert.strictEqual(minHashSignature('Done, updated the file.', 12), null);
+});
+
+test('a repeated reply is flagged with its assistant reply number', () => {
+  const { loops } = detectLoops(chat([EXPLANATION, 'Something else entirely, about caching headers and ETags.', EXPLANATION]));
+  assert.strictEqual(loops.length, 1);
+  assert.deepStrictEqual([...loops[0].kinds], ['repeat']);
+  assert.match(loops[0].reasons[0], /^Repeats reply #1 /);
+});
+
+test('short replies and the same explanation around new code are not repeats', () => {
+  const { loops } = detectLoops(chat([
+    'Done.',
+    'Done.',
+    { text: EXPLANATION, code: codeVersion('alpha', 12) },
+    { text: EXPLANATION, code: codeVersion('beta', 12) },
+    { text: EXPLANATION, code: codeVersion('gamma', 12) }
+  ]));
+  assert.strictEqual(loops.length, 0);
+});
+
+test('code brought back after a change is an oscillation', () => {
+  const { loops } = detectLoops(chat([
+    { text: 'First version.', code: codeVersion('alpha', 12) },
+    { text: 'Second version.', code: codeVersion('beta', 12) },
+    { text: 'Back to this.', code: codeVersion('alpha', 12) }
+  ]));
+  assert.strictEqual(loops.length, 1);
+  assert.deepStrictEqual([...loops[0].kinds], ['oscillation']);
+  assert.match(loops[0].reasons[0], /reply #1 /);
+});
+
+test('repeated apologies are flagged and the penalty is capped', () => {
+  const { loops, penalty } = detectLoops(chat([
+    "I apologize, that was wrong. Here's another idea about the buffer.",
+    "You're right, sorry. Let's try flushing first.",
+    'My mistake again. The stream needs to be drained.',
+    "I'm sorry, let me look at the writer once more."
+  ]));
+  assert.strictEqual(loops.length, 4);
+  loops.forEach(loop => assert.ok(loop.kinds.includes('apology')));
+  assert.strictEqual(penalty, Math.min(CONFIG.LOOP_MAX_PENALTY, 4 * CONFIG.LOOP_PENALTY_PER_MESSAGE));
+});
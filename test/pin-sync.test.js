@@ -0,0 +1,68 @@
+/**
+ * Pin storage merging and sync trimming.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScript } = require('./sandbox');
+
+const sandbox = loadContentScript();
+const { mergePinStores, trimPinsForSync, getPinnedIds, estimateStoredBytes } = sandbox;
+const PINS_KEY = sandbox.run('STORAGE_KEYS.PINS');
+const SYNC_MAX_ITEM_BYTES = sandbox.run('SYNC_MAX_ITEM_BYTES');
+
+test('the newer entry wins per conversation', () => {
+  const local = { a: { ids: ['1'], updatedAt: 200 }, b: { ids: ['2'], updatedAt: 100 } };
+  const remote = { a: { ids: ['9'], updatedAt: 100 }, b: { ids: ['3'], updatedAt: 300 }, c: { ids: ['4'], updatedAt: 50 } };
+  const merged = mergePinStores(local, remote);
+  assert.deepStrictEqual([...getPinnedIds(merged.a)], ['1']);
+  assert.deepStrictEqual([...getPinnedIds(merged.b)], ['3']);
+  assert.deepStrictEqual([...getPinnedIds(merged.c)], ['4']);
+});
+
+test('an unpin tombstone beats an older pin list elsewhere', () => {
+  const merged = mergePinStores(
+    { a: { ids: ['1', '2'], updatedAt: 100 } },
+    { a: { ids: [], updatedAt: 200 } }
+  );
+  assert.strictEqual(getPinnedIds(merged.a).length, 0);
+});
+
+test('legacy bare arrays lose to any dated entry but are kept otherwise', () => {
+  const merged = mergePinStores({ a: ['old'], b: ['legacy'] }, { a: { ids: ['new'], updatedAt: 1 } });
+  assert.deepStrictEqual([...getPinnedIds(merged.a)], ['new']);
+  assert.deepStrictEqual([...getPinnedIds(merged.b)], ['legacy']);
+});
+
+test('ties keep the local entry and inputs are not mutated', () => {
+  const local = { a: { ids: ['local'], updatedAt: 100 } };
+  const remote = { a: { ids: ['remote'], updatedAt: 100 } };
+  const merged = mergePinStores(local, remote);
+  assert.deepStrictEqual([...getPinnedIds(merged.a)], ['local']);
+  assert.deepStrictEqual([...local.a.ids], ['local']);
+  assert.notStrictEqual(merged, local);
+});
+
+test('sync trimming keeps the most recently pinned conversations that fit', () => {
+  const pins = {};
+  for (let i = 0; i < 200; i++) {
+    pins[`conversation-${i}`] = { ids: [`message-${i}-a`, `message-${i}-b`], updatedAt: 1000 + i };
+  }
+  const trimmed = trimPinsForSync(pins);
+  const kept = Object.keys(trimmed);
+  assert.ok(estimateStoredBytes(PINS_KEY, trimmed) <= SYNC_MAX_ITEM_BYTES);
+  assert.ok(kept.length > 0 && kept.length < 200);
+  assert.ok(kept.includes('conversation-199'));
+  const oldestKept = Math.min(...kept.map(id => trimmed[id].updatedAt));
+  Object.keys(pins).filter(id => !kept.includes(id)).forEach((id) => {
+    assert.ok(pins[id].updatedAt < oldestKept, `${id} dropped before an older one`);
+  });
+  assert.strictEqual(Object.keys(pins).length, 200);
+});
+
+test('small pin maps sync unchanged', () => {
+  const pins = { a: { ids: ['1'], updatedAt: 1 } };
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(trimPinsForSync(pins))), pins);
+});
@@ -0,0 +1,26 @@
+/**
+ * Loads the extension scripts into a node:vm sandbox for tests. content.js
+ * is a plain content script, so it gets just enough of the page to define
+ * its functions without starting up. Scripts load in manifest order.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadContentScript() {
+  const sandbox = {
+    console,
+    document: { readyState: 'loading', addEventListener() {} },
+    window: {}
+  };
+  vm.createContext(sandbox);
+  ['shared.js', 'content.js'].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), sandbox);
+  });
+  // Top-level let/const (state, CONFIG) aren't sandbox properties
+  sandbox.run = code => vm.runInContext(code, sandbox);
+  return sandbox;
+}
+
+module.exports = { loadContentScript };
@@ -0,0 +1,61 @@
+/**
+ * Offline BPE-style token estimator.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScript } = require('./sandbox');
+
+const sandbox = loadContentScript();
+const { estimateBpeTokens, countTokens } = sandbox;
+const TOKENIZERS = sandbox.run('TOKENIZERS');
+
+const PROSE = 'The quick brown fox jumps over the lazy dog while the farmer watches from the porch. ' +
+  'Later that evening they talked about the harvest, the weather and the price of feed.';
+
+test('empty text is zero tokens', () => {
+  assert.strictEqual(estimateBpeTokens(''), 0);
+});
+
+test('English prose lands near chars / 4', () => {
+  const bpe = estimateBpeTokens(PROSE);
+  const chars = TOKENIZERS.chars.count(PROSE);
+  assert.ok(bpe > chars * 0.7 && bpe < chars * 1.3, `bpe ${bpe} vs chars/4 ${chars}`);
+});
+
+test('CJK text counts far more tokens than chars / 4', () => {
+  const text = '今日はとても良い天気ですね。明日も晴れるといいのですが、雨の予報が出ています。';
+  const bpe = estimateBpeTokens(text);
+  assert.ok(bpe >= text.length * 0.8, `bpe ${bpe} for ${text.length} chars`);
+  assert.ok(bpe > TOKENIZERS.chars.count(text) * 2);
+});
+
+test('code costs more per char than prose', () => {
+  const code = 'const result = items.filter((item) => item.id !== id).map(({ a, b }) => [a, b]);\n' +
+    '    if (!result.length) { return null; } // nothing left\n';
+  assert.ok(estimateBpeTokens(code) / code.length > estimateBpeTokens(PROSE) / PROSE.length);
+});
+
+test('a failing tokenizer falls back to chars without changing the saved setting', () => {
+  sandbox.run(`state.settings = { tokenizer: 'bpe' };
+    state.failedTokenizer = null;
+    TOKENIZERS.bpe.realCount = TOKENIZERS.bpe.count;
+    TOKENIZERS.bpe.count = () => { throw new Error('boom'); };`);
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual(countTokens('abcdefgh'), 2);
+    assert.strictEqual(sandbox.run('state.settings.tokenizer'), 'bpe');
+    assert.strictEqual(sandbox.run('getTokenizer().id'), 'chars');
+  } finally {
+    console.error = originalError;
+    sandbox.run('TOKENIZERS.bpe.count = TOKENIZERS.bpe.realCount; delete TOKENIZERS.bpe.realCount;');
+  }
+});
+
+test('counting before settings load uses the default tokenizer', () => {
+  sandbox.run('state.settings = null; state.failedTokenizer = null;');
+  assert.strictEqual(countTokens(PROSE), estimateBpeTokens(PROSE));
+});
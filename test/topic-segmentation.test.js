@@ -0,0 +1,42 @@
+/**
+ * Topic segmentation fixtures.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadContentScript } = require('./sandbox');
+
+function loadFixture(name) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8'));
+  fixture.messages = fixture.messages.map((msg, index) => ({ id: `${name}-${index}`, ...msg }));
+  return fixture;
+}
+
+const { detectTopicShifts } = loadContentScript();
+
+test('a coherent single-topic chat has no topic boundaries', () => {
+  const { messages } = loadFixture('topics-coherent-webpack');
+  const topics = detectTopicShifts(messages);
+  assert.strictEqual(topics.boundaries.length, 0);
+  assert.strictEqual(topics.distinctCount, 0);
+});
+
+test('an unrelated second subject starts a new segment where it begins', () => {
+  const { messages, boundaries } = loadFixture('topics-two-subjects');
+  const topics = detectTopicShifts(messages);
+  // Spread: arrays from the sandbox have a different prototype
+  assert.deepStrictEqual([...topics.boundaries], boundaries);
+  assert.strictEqual(topics.distinctCount, 2);
+});
+
+test('returning to an earlier subject is not counted as a new topic', () => {
+  const first = loadFixture('topics-two-subjects').messages;
+  const messages = [...first, ...first.slice(0, 8).map((msg, index) => ({ ...msg, id: `again-${index}` }))];
+  const topics = detectTopicShifts(messages);
+  assert.strictEqual(topics.segments.length, 3);
+  assert.strictEqual(topics.distinctCount, 2);
+});